@@ -1,77 +1,410 @@
-import { Simulation } from '../simulation/simulation.js';
-import { Schwarzschild } from "../simulation/schwarzschild.js";
-import { Kerr } from "../simulation/kerr.js";
+import * as Plotly from "plotly.js";
+
+import { Simulation_trajectory } from "../simulation/simulation_trajectory.js";
 import { Mobile } from "../simulation/simulation objects/mobile.js";
 import { Graphic } from './graphic.js';
 
 /**
  * This is one of the two inherited class from Graphic.
  * It shouldn't be used for static graphic representation.
- * 
+ *
+ * The animation drives a trajectory simulation (Schwarzschild or Kerr)
+ * frame by frame. Each frame computes speed steps for every mobile and
+ * the trajectories are drawn around the central body, projected on the
+ * equatorial plane or in 3D for orbits outside of it.
+ *
+ * attributes :
+ * @param reference_frame Astronaut (A), Distant Observer (DO)
+ * @param mobiles_data recorded values of each mobile, stored by mobile id
+ * @param speed number of computation steps per frame
+ * @param frame_duration time between two frames in milliseconds
+ * @param is_running
+ * @param three_dimensional draws the trajectories in 3D
+ *
  * @method main_trajectory
+ * @method next_step
+ * @method next_frame
+ * @method play
+ * @method pause
+ * @method step
+ * @method draw
+ * @method bind_controls
  */
 
-class Animation extends Graphic
+export class Animation extends Graphic
 {
 
+    private _reference_frame: "A" | "DO";
+    private _mobiles_data = new Map<string, {
+        tau: number[],
+        r: number[],
+        phi: number[],
+        theta: number[],
+        v_r: number[],
+        v_phi: number[],
+        clock_a: number[],
+        clock_do: number[]
+    }>();
+    private _speed: number = 1;
+    private _frame_duration: number = 20;
+    private _timer: number;
+    private _is_running: boolean = false;
+    private _three_dimensional: boolean = false;
+
+
     //-------------------- Constructor --------------------
 
 
-    constructor(id_graph: string, simulation: Simulation)
-    {
+    constructor(
+        id_graph: string,
+        simulation: Simulation_trajectory,
+        reference_frame: "A" | "DO" = "A"
+    ) {
         super(id_graph, simulation);
+        this._reference_frame = reference_frame;
+    }
+
+
+    //--------------------- Accessors ----------------------
+
+
+    public get simulation(): Simulation_trajectory
+    {
+        return this._simulation as Simulation_trajectory;
+    }
+
+
+    // Reference frame
+    public get reference_frame() { return this._reference_frame; }
+
+
+    // Recorded data
+    public get mobiles_data() { return this._mobiles_data; }
+
+
+    // Speed
+    public get speed() { return this._speed; }
+
+    public set speed(speed: number)
+    {
+        if (!(speed >= 1)) {
+            throw new Error("The animation speed must be at least one step per frame");
+        }
+        this._speed = Math.round(speed);
+    }
+
+
+    // Frame duration
+    public get frame_duration() { return this._frame_duration; }
+
+    public set frame_duration(frame_duration: number)
+    {
+        this._frame_duration = frame_duration;
+
+        if (this._is_running)
+        {
+            this.pause();
+            this.play();
+        }
+    }
+
+
+    // Is running
+    public get is_running() { return this._is_running; }
+
+
+    // 3D drawing
+    public get three_dimensional() { return this._three_dimensional; }
+
+    public set three_dimensional(three_dimensional: boolean)
+    {
+        this._three_dimensional = three_dimensional;
+        this.draw();
     }
-    
+
 
     //---------------------- Methods -----------------------
-    
 
-    public main_trajectory(simulation: any, reference_frame: "A" | "DO"): void
+
+    /**
+     * Initializes the simulation and the recorded data, then draws
+     * the initial positions. Call play or step to make the mobiles move.
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     */
+    public main_trajectory(reference_frame: "A" | "DO" = this._reference_frame): void
     {
-        let tau: number = 0;
-        let dtau: number;
-        let schwarzschild_metric: boolean = false;
-        let kerr_metric: boolean = false;
-        let rebound: boolean = false;
-        
+        let simulation = this.simulation;
+
+        this.pause();
+        this._reference_frame = reference_frame;
+        this._mobiles_data.clear();
+
         // The following instruction bloc allows us to store the data for each mobile
         // in a Map object (dictionnary).
-        let mobiles_data = new Map<string, number[]>();
-        simulation.mobile_list.forEach((mobile: Mobile) => 
+        simulation.mobile_initialization(reference_frame);
+        simulation.mobile_list.forEach((mobile: Mobile) =>
         {
-            mobiles_data.set(mobile.id, []);
+            this._mobiles_data.set(mobile.id, {
+                tau: [],
+                r: [],
+                phi: [],
+                theta: [],
+                v_r: [],
+                v_phi: [],
+                clock_a: [],
+                clock_do: []
+            });
+            this.record(mobile, 0);
         });
 
-        if (simulation instanceof Schwarzschild)
+        this.draw();
+    }
+
+
+    /**
+     * Computes one step for every mobile that is not stopped (see
+     * Simulation_trajectory.mobile_step) and records the new values.
+     */
+    public next_step(): void
+    {
+        let simulation = this.simulation;
+        let reference_frame = this._reference_frame;
+
+        simulation.mobile_dtau(reference_frame);
+
+        simulation.mobile_list.forEach((mobile: Mobile) =>
         {
-            schwarzschild_metric = true;
+            let data = this._mobiles_data.get(mobile.id);
+            let tau = data.tau[data.tau.length - 1] + mobile.dtau;
 
-            if (simulation.central_body.collidable)
-            {
-                rebound = true;
-            }
-        }
-        else if (simulation instanceof Kerr)
+            if (mobile.stopped) { return; }
+
+            simulation.mobile_step(mobile, mobile.dtau, reference_frame);
+            this.record(mobile, tau);
+        });
+    }
+
+
+    /**
+     * Computes speed steps and draws the result.
+     */
+    public next_frame(): void
+    {
+        for (let i = 0; i < this._speed; i++)
         {
-            kerr_metric = true;
+            this.next_step();
         }
+        this.draw();
+    }
+
+
+    /**
+     * Starts the animation.
+     */
+    public play(): void
+    {
+        if (this._is_running) { return; }
+
+        this._is_running = true;
+        this._timer = window.setInterval(() => this.next_frame(), this._frame_duration);
+    }
+
 
-        simulation.mobile_initialization();
+    /**
+     * Stops the animation, the recorded data is kept.
+     */
+    public pause(): void
+    {
+        if (!this._is_running) { return; }
+
+        window.clearInterval(this._timer);
+        this._is_running = false;
+    }
+
+
+    /**
+     * Pauses the animation and computes a single frame.
+     */
+    public step(): void
+    {
+        this.pause();
+        this.next_frame();
+    }
 
-        for (let i=0; i<100; i++)
+
+    /**
+     * Draws the trajectory and the current position of each mobile around
+     * the central body. The central body is drawn with its radius and its
+     * horizon (R_hp, equal to R_s without angular momentum).
+     * The z axis is the rotation axis of the central body.
+     */
+    public draw(): void
+    {
+        let central_body = this.simulation.central_body;
+        let data: Partial<Plotly.PlotData>[] = [];
+        let shapes: Partial<Plotly.Shape>[] = [];
+
+        if (this._three_dimensional)
         {
-            tau += dtau;
+            this.draw_3d();
+            return;
+        }
 
-            simulation.mobile_list.forEach((mobile: Mobile) =>
-            {
-                simulation.mobile_new_position(mobile, dtau, reference_frame);
+        this._mobiles_data.forEach((mobile_data, id) =>
+        {
+            let points = this.points(mobile_data);
+            let last = points.x.length - 1;
+
+            data.push({ x: points.x, y: points.y, mode: "lines", name: id });
+            data.push({
+                x: [points.x[last]],
+                y: [points.y[last]],
+                mode: "markers",
+                name: id,
+                showlegend: false
             });
+        });
+
+        if (central_body.radius > 0)
+        {
+            shapes.push(this.circle(central_body.radius, "solid", "#888"));
         }
+        shapes.push(this.circle(central_body.R_hp, "dash", "#000"));
+
+        Plotly.react(this.id_graph, data, {
+            margin: { t: 0 },
+            xaxis: { title: "x (m)" },
+            yaxis: { title: "y (m)", scaleanchor: "x" },
+            shapes: shapes
+        });
+    }
+
 
+    /**
+     * Links HTML elements to the animation controls.
+     * @param play_id id of the play button
+     * @param pause_id id of the pause button
+     * @param step_id id of the step button
+     * @param speed_id id of the input containing the speed
+     */
+    public bind_controls(play_id: string, pause_id: string, step_id: string, speed_id: string): void
+    {
+        document.getElementById(play_id).addEventListener("click", () => this.play());
+        document.getElementById(pause_id).addEventListener("click", () => this.pause());
+        document.getElementById(step_id).addEventListener("click", () => this.step());
+        document.getElementById(speed_id).addEventListener("change", (event) =>
+        {
+            this.speed = Number((<HTMLInputElement>event.target).value);
+        });
     }
 
-    
 
+    /**
+     * Draws the trajectories in 3D, the central body being represented by
+     * a marker at the origin.
+     */
+    private draw_3d(): void
+    {
+        let data: Partial<Plotly.PlotData>[] = [{
+            type: "scatter3d",
+            x: [0],
+            y: [0],
+            z: [0],
+            mode: "markers",
+            marker: { color: "#000" },
+            name: "central body",
+            showlegend: false
+        }];
+
+        this._mobiles_data.forEach((mobile_data, id) =>
+        {
+            let points = this.points(mobile_data);
+            let last = points.x.length - 1;
+
+            data.push({ type: "scatter3d", x: points.x, y: points.y, z: points.z, mode: "lines", name: id });
+            data.push({
+                type: "scatter3d",
+                x: [points.x[last]],
+                y: [points.y[last]],
+                z: [points.z[last]],
+                mode: "markers",
+                name: id,
+                showlegend: false
+            });
+        });
+
+        Plotly.react(this.id_graph, data, {
+            margin: { t: 0 },
+            scene: {
+                xaxis: { title: "x (m)" },
+                yaxis: { title: "y (m)" },
+                zaxis: { title: "z (m)" },
+                aspectmode: "data"
+            }
+        });
+    }
 
 
+    /**
+     * Cartesian coordinates of the recorded positions of a mobile.
+     * @param mobile_data recorded values of the mobile
+     */
+    private points(mobile_data: { r: number[], phi: number[], theta: number[] })
+    {
+        let x: number[] = [];
+        let y: number[] = [];
+        let z: number[] = [];
+
+        mobile_data.r.forEach((r, i) =>
+        {
+            let point = this.simulation.cartesian_coordinates(
+                r, mobile_data.theta[i], mobile_data.phi[i]
+            );
+            x.push(point[0]);
+            y.push(point[1]);
+            z.push(point[2]);
+        });
+
+        return { x: x, y: y, z: z };
+    }
+
+
+    /**
+     * Stores the current values of a mobile.
+     * @param mobile
+     * @param tau time parameter in the reference frame of the animation
+     */
+    private record(mobile: Mobile, tau: number): void
+    {
+        let data = this._mobiles_data.get(mobile.id);
+        data.tau.push(tau);
+        data.r.push(mobile.r);
+        data.phi.push(mobile.phi);
+        data.theta.push(mobile.theta);
+        data.v_r.push(mobile.v_r);
+        data.v_phi.push(mobile.v_phi);
+        data.clock_a.push(mobile.clock_a);
+        data.clock_do.push(mobile.clock_do);
+    }
+
+
+    /**
+     * Circle centered on the central body.
+     * @param radius
+     * @param dash line style
+     * @param color
+     */
+    private circle(radius: number, dash: Plotly.Dash, color: string): Partial<Plotly.Shape>
+    {
+        return {
+            type: "circle",
+            xref: "x",
+            yref: "y",
+            x0: -radius,
+            y0: -radius,
+            x1: radius,
+            y1: radius,
+            line: { dash: dash, color: color }
+        };
+    }
 }
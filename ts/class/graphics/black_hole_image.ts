@@ -0,0 +1,131 @@
+import { Kerr } from "../simulation/kerr.js";
+import { Graphic } from "./graphic.js";
+import { Image } from "./image.js";
+
+/**
+ * This is one of the inherited class from Graphic.
+ * It renders what a distant observer sees around a Kerr (or Schwarzschild,
+ * a = 0) black hole by backward ray tracing on the CPU (see Kerr.trace_ray):
+ * the shadow in black, a thin accretion disk in the equatorial plane and a
+ * grid drawn on the celestial sphere behind the black hole, both lensed.
+ * No GPU nor canvas is needed, the result is an Image exported in PNG.
+ *
+ * attributes :
+ * @param inclination angle between the rotation axis and the line of sight (deg)
+ * @param r_observer radial coordinate of the observer (m)
+ * @param field_of_view width of the image plane (m)
+ * @param disk draws the accretion disk
+ * @param r_disk outer radius of the disk (m), the inner one is the prograde ISCO
+ * @param grid_spacing angle between two lines of the celestial grid (deg)
+ *
+ * @method render
+ * @method save
+ */
+export class Black_hole_image extends Graphic {
+
+	private _inclination: number = 80;
+	private _r_observer: number;
+	private _field_of_view: number;
+	private _disk: boolean = true;
+	private _r_disk: number;
+	private _grid_spacing: number = 10;
+
+	//-------------------------constructor-----------------------
+
+	constructor(id_graph: string, simulation: Kerr)
+	{
+		super(id_graph, simulation);
+
+		let M = simulation.central_body.R_s / 2;
+		this._r_observer = 1000 * M;
+		this._field_of_view = 30 * M;
+		this._r_disk = 20 * M;
+	}
+
+	//--------------------------Accessors------------------------
+
+	public get inclination() { return this._inclination; }
+
+	public set inclination(inclination: number) { this._inclination = inclination; }
+
+
+	public get r_observer() { return this._r_observer; }
+
+	public set r_observer(r_observer: number) { this._r_observer = r_observer; }
+
+
+	public get field_of_view() { return this._field_of_view; }
+
+	public set field_of_view(field_of_view: number) { this._field_of_view = field_of_view; }
+
+
+	public get disk() { return this._disk; }
+
+	public set disk(disk: boolean) { this._disk = disk; }
+
+
+	public get r_disk() { return this._r_disk; }
+
+	public set r_disk(r_disk: number) { this._r_disk = r_disk; }
+
+
+	public get grid_spacing() { return this._grid_spacing; }
+
+	public set grid_spacing(grid_spacing: number) { this._grid_spacing = grid_spacing; }
+
+	//---------------------------methods-------------------------
+
+	/**
+	 * Traces one ray per pixel. The disk is colored from white at the ISCO to
+	 * dark red at its outer radius, the celestial grid is drawn in white
+	 * lines on a dark blue sky.
+	 * @param width number of pixels
+	 * @param height number of pixels
+	 * @param step affine parameter step divided by r / c, see Kerr.trace_ray
+	 * @returns image, the rotation axis pointing up
+	 */
+	public render(width: number, height: number, step: number = 1e-2): Image {
+		let simulation = this.simulation as Kerr;
+		let image = new Image(this, this.id_graph, "png", this.id_graph + ".png", width, height);
+		let theta_observer = Math.min(Math.max(this.inclination, 1e-3), 180 - 1e-3) * Math.PI / 180;
+		let r_disk = (this.disk) ? [simulation.isco_radius(true), this.r_disk] : undefined;
+		let scale = this.field_of_view / width;
+		let spacing = this.grid_spacing * Math.PI / 180;
+
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				let alpha = (x + 0.5 - width / 2) * scale;
+				let beta = (height / 2 - y - 0.5) * scale;
+				let ray = simulation.trace_ray(alpha, beta, this.r_observer, theta_observer, r_disk, step);
+				let color = [0, 0, 0];
+
+				if (ray.type === "disk") {
+					let t = (ray.r - r_disk[0]) / (r_disk[1] - r_disk[0]);
+					color = [255 - 100 * t, 230 * (1 - t)**2, 180 * (1 - t)**3];
+				}
+				else if (ray.type === "escaped") {
+					// Distance to the nearest grid line, in fraction of the spacing
+					let line = (angle: number) => Math.abs(angle / spacing - Math.round(angle / spacing));
+					let on_line = line(ray.theta) < 0.03 || line(ray.phi) * Math.sin(ray.theta) < 0.03;
+					color = (on_line) ? [230, 230, 230] : [10, 20, 60];
+				}
+				image.set_pixel(x, y, color);
+			}
+		}
+
+		return image;
+	}
+
+	/**
+	 * Renders the image and downloads it in a browser. Headless, Image.save
+	 * throws an error: write the result of to_png() of render in a file instead.
+	 * @param width number of pixels
+	 * @param height number of pixels
+	 * @returns image
+	 */
+	public save(width: number = 400, height: number = 300): Image {
+		let image = this.render(width, height);
+		image.save();
+		return image;
+	}
+}
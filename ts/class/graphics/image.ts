@@ -3,23 +3,180 @@ import { Graphic } from "./graphic.js";
  * This class closely related to the Graphic class and subclasses.
  * An instance of this class is created via their save method.
  * 
+ * The pixels are stored in RGB order, 3 bytes per pixel from the top left
+ * corner, and encoded in PNG without any browser API (no canvas), so that
+ * images can be produced headless.
+ * 
+ * @param name
+ * @param format
+ * @param adress
+ * @param width
+ * @param height
+ * @param pixels
+ * 
+ * @method set_pixel
+ * @method to_png
+ * @method save
  */
 
-class Image
+export class Image
 {
     private graphic: Graphic;
     public name: string;
     public format: string;
     public adress: string;
+    public width: number;
+    public height: number;
+    public pixels: Uint8Array;
 
-    constructor(graphe: Graphic, name: string, format: string, adress: string)
-    {
+    constructor(
+        graphe: Graphic,
+        name: string,
+        format: string,
+        adress: string,
+        width: number = 0,
+        height: number = 0
+    ) {
         this.graphic = graphe;
         this.name = name;
         this.format = format;
         this.adress = adress;
+        this.width = width;
+        this.height = height;
+        this.pixels = new Uint8Array(width * height * 3);
     }
 
 
+    /**
+     * @param x column, from the left
+     * @param y row, from the top
+     * @param color [red, green, blue] between 0 and 255
+     */
+    public set_pixel(x: number, y: number, color: number[]): void
+    {
+        let index = 3 * (y * this.width + x);
+
+        for (let i = 0; i < 3; i++)
+        {
+            this.pixels[index + i] = Math.max(0, Math.min(255, Math.round(color[i])));
+        }
+    }
+
+
+    /**
+     * Encodes the pixels in PNG (8 bits RGB). The zlib stream uses stored
+     * (uncompressed) deflate blocks.
+     * @returns content of the PNG file
+     */
+    public to_png(): Uint8Array<ArrayBuffer>
+    {
+        let row = 3 * this.width + 1;
+        let raw = new Uint8Array(row * this.height);
+
+        // Each row starts with the filter type 0 (none)
+        for (let y = 0; y < this.height; y++)
+        {
+            raw.set(this.pixels.subarray(3 * this.width * y, 3 * this.width * (y + 1)), y * row + 1);
+        }
+
+        let blocks = Math.max(1, Math.ceil(raw.length / 65535));
+        let zlib = new Uint8Array(2 + raw.length + 5 * blocks + 4);
+        let offset = 2;
+        zlib.set([0x78, 0x01]);
+
+        for (let i = 0; i < blocks; i++)
+        {
+            let block = raw.subarray(i * 65535, Math.min((i + 1) * 65535, raw.length));
+            zlib.set([
+                (i === blocks - 1) ? 1 : 0,
+                block.length & 0xff, block.length >> 8,
+                ~block.length & 0xff, (~block.length >> 8) & 0xff
+            ], offset);
+            zlib.set(block, offset + 5);
+            offset += 5 + block.length;
+        }
+
+        let a = 1;
+        let b = 0;
+        raw.forEach(byte => { a = (a + byte) % 65521; b = (b + a) % 65521; });
+        zlib.set(Image.uint32((b << 16 | a) >>> 0), offset);
+
+        let header = new Uint8Array(13);
+        header.set(Image.uint32(this.width), 0);
+        header.set(Image.uint32(this.height), 4);
+        header.set([8, 2, 0, 0, 0], 8);
+
+        let chunks = [
+            Image.chunk("IHDR", header),
+            Image.chunk("IDAT", zlib),
+            Image.chunk("IEND", new Uint8Array(0))
+        ];
+        let png = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        png.set([137, 80, 78, 71, 13, 10, 26, 10]);
+        offset = 8;
+
+        chunks.forEach(chunk => { png.set(chunk, offset); offset += chunk.length; });
+
+        return png;
+    }
+
+
+    /**
+     * Downloads the PNG file in a browser. Without a document (headless),
+     * an error is thrown: write the bytes of to_png() to the file address instead.
+     */
+    public save(): void
+    {
+        if (typeof document === "undefined")
+        {
+            throw new Error("The image can only be downloaded in a browser, use to_png() to write the PNG file.");
+        }
+
+        let url = URL.createObjectURL(new Blob([this.to_png()], { type: "image/png" }));
+        let link = document.createElement("a");
+        link.href = url;
+        link.download = this.name + "." + this.format;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+
+    /**
+     * @param value
+     * @returns value in 4 bytes, big-endian
+     */
+    private static uint32(value: number): number[]
+    {
+        return [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    }
+
+
+    /**
+     * PNG chunk: length, type, data and CRC-32 of the type and data.
+     * @param type
+     * @param data
+     */
+    private static chunk(type: string, data: Uint8Array): Uint8Array
+    {
+        let chunk = new Uint8Array(12 + data.length);
+        chunk.set(Image.uint32(data.length), 0);
+        chunk.set(Array.from(type).map(letter => letter.charCodeAt(0)), 4);
+        chunk.set(data, 8);
+
+        let crc = 0xffffffff;
+
+        for (let i = 4; i < 8 + data.length; i++)
+        {
+            crc ^= chunk[i];
+            for (let k = 0; k < 8; k++)
+            {
+                crc = (crc & 1) ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+            }
+        }
+        chunk.set(Image.uint32((crc ^ 0xffffffff) >>> 0), 8 + data.length);
+
+        return chunk;
+    }
+
 
 }
\ No newline at end of file
@@ -4,10 +4,26 @@ import * as Plotly from "plotly.js";
 
 import { ToImgopts } from 'plotly.js';
 import { Simulation } from '../simulation/simulation.js'
+import { Simulation_trajectory } from '../simulation/simulation_trajectory.js';
+import { Simulation_universe } from '../simulation/simulation_universe.js';
+import { Mobile } from '../simulation/simulation objects/mobile.js';
+import { Scenario_timeline } from '../simulation/trajectory_scenario.js';
+import { Twin_paradox_report } from '../simulation/twin_paradox.js';
+import { Hubble_diagram_report } from '../simulation/hubble_diagram_fit.js';
 import { Graphic } from './graphic.js';
 /**
  * This is one of the two inherited class from Graphic.
  * It shouldn't be used for dynamic graphic representation.
+ *
+ * @method modify_plotly_parameters
+ * @method save
+ * @method plot_graph
+ * @method effective_potential
+ * @method scenario_timeline
+ * @method frequency_shift
+ * @method twin_paradox
+ * @method hubble_residuals
+ * @method density_parameters
  */
 export class Static_graph extends Graphic {
 
@@ -57,9 +73,201 @@ export class Static_graph extends Graphic {
 	}
 
 	/**
-	 * 
+	 * Draws the graph described by the plotly parameters in the element of id plotly_parameters.id
 	 */
-	public plot_graph() {
-		
+	public plot_graph(): void {
+		Plotly.newPlot(
+			this.plotly_parameters.id,
+			this.plotly_parameters.data as Partial<Plotly.PlotData>[],
+			this.plotly_parameters.layout
+		);
+	}
+
+	/**
+	 * Draws the effective potential V(r) of a mobile of the trajectory simulation with its energy E²,
+	 * the turning points, the horizon, the ISCO and the photon sphere.
+	 * The title gives the orbit type (bound, plunging or escaping).
+	 * @param mobile initialized mobile of the simulation
+	 * @param r_min
+	 * @param r_max
+	 * @param n number of computation points
+	 */
+	public effective_potential(mobile: Mobile, r_min: number, r_max: number, n: number = 1000): void {
+		let simulation = this.simulation as Simulation_trajectory;
+		let result = simulation.effective_potential(mobile, r_min, r_max, n);
+		let radii = [
+			{ name: "horizon", r: result.horizon, dash: "solid" },
+			{ name: "ISCO", r: result.isco, dash: "dash" },
+			{ name: "photon sphere", r: result.photon_sphere, dash: "dot" }
+		];
+		let shapes = radii
+			.filter(radius => r_min <= radius.r && radius.r <= r_max)
+			.map(radius => ({
+				type: "line",
+				xref: "x",
+				yref: "paper",
+				x0: radius.r,
+				x1: radius.r,
+				y0: 0,
+				y1: 1,
+				line: { dash: radius.dash }
+			}));
+
+		this.modify_plotly_parameters(this.id_graph, [
+			{ x: result.r, y: result.potential, mode: "lines", name: "V(r)" },
+			{ x: [r_min, r_max], y: [result.energy, result.energy], mode: "lines", name: "E²" },
+			{
+				x: result.turning_points,
+				y: result.turning_points.map(() => result.energy),
+				mode: "markers",
+				name: "turning points"
+			}
+		], {
+			title: mobile.id + " : " + result.orbit,
+			xaxis: { title: "r (m)" },
+			yaxis: { title: "V / c²" },
+			shapes: shapes,
+			annotations: radii
+				.filter(radius => r_min <= radius.r && radius.r <= r_max)
+				.map(radius => ({ x: radius.r, y: 1, xref: "x", yref: "paper", text: radius.name }))
+		});
+		this.plot_graph();
+	}
+
+	/**
+	 * Draws one value of every mobile of a Trajectory_scenario against the time
+	 * of a distant observer, each mobile being named with its reference frame.
+	 * @param timeline result of Trajectory_scenario.run
+	 * @param value r, phi, theta or clock_a
+	 */
+	public scenario_timeline(timeline: Scenario_timeline, value: "r" | "phi" | "theta" | "clock_a" = "r"): void {
+		let data: {}[] = [];
+		let units = { r: "m", phi: "rad", theta: "rad", clock_a: "s" };
+
+		timeline.mobiles.forEach((mobile, id) => {
+			data.push({
+				x: timeline.time,
+				y: mobile[value],
+				mode: "lines",
+				name: id + " (" + mobile.reference_frame + ")"
+			});
+		});
+
+		this.modify_plotly_parameters(this.id_graph, data, {
+			xaxis: { title: "clock_do (s)" },
+			yaxis: { title: value + " (" + units[value] + ")" }
+		});
+		this.plot_graph();
+	}
+
+	/**
+	 * Draws the frequency received by a distant observer divided by the emitted
+	 * one, with its gravitational and Doppler factors, against the emission time.
+	 * @param result result of Simulation_trajectory.frequency_shift
+	 * @param time clock of the mobile (clock_a) or of the distant observer (clock_do)
+	 */
+	public frequency_shift(
+		result: ReturnType<Simulation_trajectory["frequency_shift"]>,
+		time: "clock_a" | "clock_do" = "clock_a"
+	): void {
+		this.modify_plotly_parameters(this.id_graph, [
+			{ x: result[time], y: result.ratio, mode: "lines", name: "ratio" },
+			{ x: result[time], y: result.gravitational, mode: "lines", name: "gravitational" },
+			{ x: result[time], y: result.doppler, mode: "lines", name: "Doppler" }
+		], {
+			xaxis: { title: time + " (s)" },
+			yaxis: { title: "received / emitted frequency" }
+		});
+		this.plot_graph();
+	}
+
+	/**
+	 * Draws the accumulated proper time difference of each mobile of a twin
+	 * paradox with the reference mobile against the time of a distant observer.
+	 * @param report result of Twin_paradox.run
+	 */
+	public twin_paradox(report: Twin_paradox_report): void {
+		let data: {}[] = [];
+
+		report.differences.forEach((differences, id) => {
+			data.push({ x: report.time, y: differences, mode: "lines", name: id });
+		});
+
+		this.modify_plotly_parameters(this.id_graph, data, {
+			xaxis: { title: "clock_do (s)" },
+			yaxis: { title: "clock_a - clock_a of " + report.reference_id + " (s)" }
+		});
+		this.plot_graph();
+	}
+
+	/**
+	 * Draws the residuals observed minus model distance modulus of the supernovae
+	 * of a Hubble diagram fit with their error bars against the cosmologic shift.
+	 * The title gives the best-fit values and the reduced chi-square.
+	 * @param report result of Hubble_diagram_fit.fit
+	 */
+	public hubble_residuals(report: Hubble_diagram_report): void {
+		let z_max = Math.max(...report.z);
+
+		this.modify_plotly_parameters(this.id_graph, [
+			{
+				x: report.z,
+				y: report.residuals,
+				error_y: { type: "data", array: report.error, visible: true },
+				mode: "markers",
+				name: "supernovae"
+			},
+			{ x: [0, z_max], y: [0, 0], mode: "lines", name: "model" }
+		], {
+			title: report.parameters
+				.map(parameter => parameter.name + " = " + parameter.value.toPrecision(4)
+					+ " ± " + parameter.uncertainty.toPrecision(2))
+				.concat(["χ²/dof = " + report.reduced_chi2.toPrecision(4)])
+				.join(", "),
+			xaxis: { title: "z" },
+			yaxis: { title: "μ observed - μ model" }
+		});
+		this.plot_graph();
+	}
+
+	/**
+	 * Draws the density parameters of radiation, matter and dark energy stacked
+	 * against the cosmologic shift or the scale factor (logarithmic axis), their
+	 * total being 1 - Ω_k. The curvature parameter, which can be negative, is
+	 * drawn as a separate line.
+	 * @param omegas result of Simulation_universe.compute_omegas
+	 * @param variable abscissa, cosmologic shift z or scale factor a
+	 */
+	public density_parameters(
+		omegas: ReturnType<Simulation_universe["compute_omegas"]>,
+		variable: "z" | "a" = "z"
+	): void {
+		let x = omegas[variable];
+		let components = [
+			{ y: omegas.omega_rad, name: "Ω_r" },
+			{ y: omegas.omega_matter, name: "Ω_m" },
+			{ y: omegas.omega_de, name: "Ω_DE" }
+		];
+
+		let data: {}[] = components.map(component => ({
+			x: x,
+			y: component.y,
+			mode: "lines",
+			stackgroup: "omegas",
+			name: component.name
+		}));
+		data.push({
+			x: x,
+			y: omegas.omega_courbure,
+			mode: "lines",
+			line: { dash: "dash" },
+			name: "Ω_k"
+		});
+
+		this.modify_plotly_parameters(this.id_graph, data, {
+			xaxis: { title: variable, type: (variable === "a") ? "log" : "linear" },
+			yaxis: { title: "density parameters" }
+		});
+		this.plot_graph();
 	}
 }
\ No newline at end of file
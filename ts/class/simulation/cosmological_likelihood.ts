@@ -0,0 +1,207 @@
+import { Simulation_universe } from "./simulation_universe.js";
+import { Hubble_diagram_fit, Supernova_observation } from "./hubble_diagram_fit.js";
+import { M_parsec, km_s_M_parsec } from "./../../constants.js";
+
+
+/**
+ * Likelihood of observations for the current parameters of a universe, to be
+ * used by an Ensemble_sampler. Any object with a name and a log_likelihood
+ * method can be given to the sampler.
+ */
+export interface Cosmological_likelihood
+{
+	name: string;
+	/**
+	 * @param universe universe with the parameters to test
+	 * @returns logarithm of the likelihood, -chi²/2 for gaussian errors
+	 */
+	log_likelihood(universe: Simulation_universe): number;
+}
+
+
+/**
+ * Distance ratio measured by baryon acoustic oscillations at a cosmologic shift:
+ * D_M / r_d (comoving distance), D_H / r_d (D_H = c / H(z)) or
+ * D_V / r_d (D_V = (z D_M² D_H)^(1/3)), r_d being the sound horizon at the drag epoch.
+ */
+export interface BAO_observation
+{
+	z: number;
+	quantity: "D_M" | "D_H" | "D_V";
+	value: number;
+	error: number;
+}
+
+
+/**
+ * Hubble-Lemaître parameter measured at a cosmologic shift (cosmic chronometers
+ * for instance), value and error in km/s/Mpc.
+ */
+export interface Hubble_observation
+{
+	z: number;
+	value: number;
+	error: number;
+}
+
+
+/**
+ * @class Supernova_likelihood
+ *
+ * Gaussian likelihood of the distance moduli of type Ia supernovae, see Hubble_diagram_fit.
+ *
+ * @param observations
+ * @param n number of computation points between two consecutive shifts, see distance_table
+ *
+ * @method log_likelihood
+ */
+
+export class Supernova_likelihood implements Cosmological_likelihood
+{
+
+	readonly name: string = "SN Ia";
+	private _observations: Supernova_observation[];
+	private _n: number;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(observations: Supernova_observation[], n: number = 20)
+	{
+		this._observations = observations;
+		this._n = n;
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get observations() { return this._observations; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	public log_likelihood(universe: Simulation_universe): number
+	{
+		let fit = new Hubble_diagram_fit(universe, this._observations);
+		fit.n = this._n;
+		return -fit.chi2() / 2;
+	}
+
+
+}
+
+
+/**
+ * @class BAO_likelihood
+ *
+ * Gaussian likelihood of distance ratios measured by baryon acoustic oscillations,
+ * the sound horizon r_d being fixed.
+ *
+ * @param observations
+ * @param sound_horizon r_d (Mpc)
+ *
+ * @method log_likelihood
+ */
+
+export class BAO_likelihood implements Cosmological_likelihood
+{
+
+	readonly name: string = "BAO";
+	private _observations: BAO_observation[];
+	private _sound_horizon: number;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(observations: BAO_observation[], sound_horizon: number = 147.09)
+	{
+		this._observations = observations;
+		this._sound_horizon = sound_horizon;
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get observations() { return this._observations; }
+
+
+	public get sound_horizon() { return this._sound_horizon; }
+
+	public set sound_horizon(sound_horizon: number) { this._sound_horizon = sound_horizon; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	public log_likelihood(universe: Simulation_universe): number
+	{
+		let table = universe.distance_table(this._observations.map(observation => observation.z));
+		let r_d = this._sound_horizon * M_parsec;
+
+		return -this._observations.reduce((sum, observation, i) =>
+		{
+			let D_M = table.metric_distance[i];
+			let D_H = universe.constants.c / universe.hubble_parameter(observation.z);
+			let distance = {
+				D_M: D_M,
+				D_H: D_H,
+				D_V: Math.cbrt(observation.z * D_M**2 * D_H)
+			}[observation.quantity];
+			return sum + ((observation.value - distance / r_d) / observation.error)**2;
+		}, 0) / 2;
+	}
+
+
+}
+
+
+/**
+ * @class Hubble_likelihood
+ *
+ * Gaussian likelihood of measurements of the Hubble-Lemaître parameter H(z).
+ *
+ * @param observations
+ *
+ * @method log_likelihood
+ */
+
+export class Hubble_likelihood implements Cosmological_likelihood
+{
+
+	readonly name: string = "H(z)";
+	private _observations: Hubble_observation[];
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(observations: Hubble_observation[])
+	{
+		this._observations = observations;
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get observations() { return this._observations; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	public log_likelihood(universe: Simulation_universe): number
+	{
+		// H(z) in km/s/Mpc
+		return -this._observations.reduce((sum, observation) =>
+			sum + ((observation.value - universe.hubble_parameter(observation.z) / km_s_M_parsec)
+				/ observation.error)**2, 0) / 2;
+	}
+
+
+}
@@ -0,0 +1,339 @@
+import { Cosmological_parameter, Simulation_universe } from "./simulation_universe.js";
+import { Cosmological_likelihood } from "./cosmological_likelihood.js";
+
+
+/**
+ * Uniform prior of a sampled parameter, see Simulation_universe.set_parameter.
+ */
+export interface Sampled_parameter
+{
+	name: Cosmological_parameter;
+	min: number;
+	max: number;
+}
+
+
+/**
+ * Result of Ensemble_sampler.run. The chains are indexed by walker, step and
+ * parameter, the samples are the positions of all the walkers after the burn-in.
+ */
+export interface Ensemble_chain
+{
+	parameters: Cosmological_parameter[];
+	chains: number[][][];
+	log_probability: number[][];
+	acceptance_fraction: number[];
+	burn_in: number;
+	samples: number[][];
+}
+
+
+/**
+ * Data of a corner plot: the histogram and the quantiles 16 %, 50 %, 84 % of each
+ * parameter, and the two dimensional histogram of each pair of parameters.
+ */
+export interface Corner_data
+{
+	marginals: {
+		name: Cosmological_parameter,
+		mean: number,
+		standard_deviation: number,
+		quantiles: number[],
+		edges: number[],
+		counts: number[]
+	}[];
+	pairs: {
+		x: Cosmological_parameter,
+		y: Cosmological_parameter,
+		x_edges: number[],
+		y_edges: number[],
+		counts: number[][]
+	}[];
+}
+
+
+/**
+ * @class Ensemble_sampler
+ *
+ * Samples the posterior distribution of parameters of a Simulation_universe with
+ * the affine-invariant ensemble sampler of Goodman and Weare (stretch move):
+ * each walker moves along the line joining it to another walker of the ensemble.
+ * The log posterior is the sum of the log likelihoods, the priors being uniform.
+ *
+ * The random numbers come from a seeded generator (mulberry32) so that the same
+ * seed gives the same chains. The universe gets back its parameters after a run.
+ *
+ * @param universe
+ * @param likelihoods
+ * @param parameters sampled parameters with their prior bounds
+ * @param seed
+ * @param stretch scale parameter a of the stretch move
+ *
+ * @method log_probability
+ * @method run
+ * @method corner
+ * @method random
+ * @method gaussian
+ */
+
+export class Ensemble_sampler
+{
+
+	private _universe: Simulation_universe;
+	private _likelihoods: Cosmological_likelihood[];
+	private _parameters: Sampled_parameter[];
+	private _seed: number;
+	private _state: number;
+	private _stretch: number = 2;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(
+		universe: Simulation_universe,
+		likelihoods: Cosmological_likelihood[],
+		parameters: Sampled_parameter[],
+		seed: number = 1
+	)
+	{
+		if (universe.is_flat && parameters.some(parameter => parameter.name === "matter_parameter")
+			&& parameters.some(parameter => parameter.name === "parameter_value"))
+		{
+			throw new Error("In a flat universe, matter_parameter and parameter_value cannot be sampled together.");
+		}
+
+		this._universe = universe;
+		this._likelihoods = likelihoods;
+		this._parameters = parameters;
+		this.seed = seed;
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get universe() { return this._universe; }
+
+	public get likelihoods() { return this._likelihoods; }
+
+	public get parameters() { return this._parameters; }
+
+
+	// Resets the random generator
+	public get seed() { return this._seed; }
+
+	public set seed(seed: number)
+	{
+		this._seed = seed;
+		this._state = seed >>> 0;
+	}
+
+
+	public get stretch() { return this._stretch; }
+
+	public set stretch(stretch: number) { this._stretch = stretch; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Log posterior of a position, up to a constant.
+	 * @param position values of the sampled parameters
+	 * @returns sum of the log likelihoods, -Infinity out of the priors or if the universe cannot be computed
+	 */
+	public log_probability(position: number[]): number
+	{
+		if (this._parameters.some((parameter, k) => !(parameter.min <= position[k] && position[k] <= parameter.max)))
+		{
+			return -Infinity;
+		}
+
+		position.forEach((value, k) => this._universe.set_parameter(this._parameters[k].name, value));
+		let result = this._likelihoods.reduce(
+			(sum, likelihood) => sum + likelihood.log_likelihood(this._universe), 0);
+
+		return isNaN(result) ? -Infinity : result;
+	}
+
+
+	/**
+	 * Moves the walkers, starting in a small gaussian ball around the current
+	 * parameters of the universe.
+	 * @param n_walkers number of walkers, at least twice the number of parameters
+	 * @param n_steps number of steps of each walker
+	 * @param burn_in number of first steps left out of the samples
+	 * @param spread standard deviation of the initial ball, in fraction of the prior widths
+	 * @returns chains
+	 */
+	public run(n_walkers: number, n_steps: number, burn_in: number = 0, spread: number = 1e-2): Ensemble_chain
+	{
+		let universe = this._universe;
+		let parameters = this._parameters;
+		let dimension = parameters.length;
+
+		if (n_walkers < 2 * dimension)
+		{
+			throw new Error("The ensemble sampler needs at least twice more walkers than parameters.");
+		}
+		if (burn_in >= n_steps)
+		{
+			throw new Error("The burn-in must be shorter than the chains.");
+		}
+
+		let initial = parameters.map(parameter => universe.get_parameter(parameter.name));
+		let positions: number[][] = [];
+		let log_probabilities: number[] = [];
+
+		for (let walker = 0; walker < n_walkers; walker++)
+		{
+			let position = initial;
+			let log_probability = -Infinity;
+			for (let trial = 0; trial < 100 && log_probability === -Infinity; trial++)
+			{
+				position = initial.map((value, k) =>
+					value + spread * (parameters[k].max - parameters[k].min) * this.gaussian());
+				log_probability = this.log_probability(position);
+			}
+			if (log_probability === -Infinity)
+			{
+				initial.forEach((value, k) => universe.set_parameter(parameters[k].name, value));
+				throw new Error("The walkers cannot start around the current parameters of the universe.");
+			}
+			positions.push(position);
+			log_probabilities.push(log_probability);
+		}
+
+		let result: Ensemble_chain = {
+			parameters: parameters.map(parameter => parameter.name),
+			chains: positions.map(() => []),
+			log_probability: positions.map(() => []),
+			acceptance_fraction: positions.map(() => 0),
+			burn_in: burn_in,
+			samples: []
+		};
+		let a = this._stretch;
+
+		for (let step = 0; step < n_steps; step++)
+		{
+			for (let walker = 0; walker < n_walkers; walker++)
+			{
+				// Another walker, chosen uniformly, and z following g(z) ∝ 1/sqrt(z) on [1/a, a]
+				let other = Math.floor(this.random() * (n_walkers - 1));
+				if (other >= walker) { other++; }
+				let z = ((a - 1) * this.random() + 1)**2 / a;
+				let proposal = positions[walker].map((value, k) =>
+					positions[other][k] + z * (value - positions[other][k]));
+				let log_probability = this.log_probability(proposal);
+
+				if (Math.log(this.random()) < (dimension - 1) * Math.log(z) + log_probability - log_probabilities[walker])
+				{
+					positions[walker] = proposal;
+					log_probabilities[walker] = log_probability;
+					result.acceptance_fraction[walker]++;
+				}
+
+				result.chains[walker].push(positions[walker]);
+				result.log_probability[walker].push(log_probabilities[walker]);
+				if (step >= burn_in)
+				{
+					result.samples.push(positions[walker]);
+				}
+			}
+		}
+
+		result.acceptance_fraction = result.acceptance_fraction.map(accepted => accepted / n_steps);
+		initial.forEach((value, k) => universe.set_parameter(parameters[k].name, value));
+
+		return result;
+	}
+
+
+	/**
+	 * Histograms and statistics of the samples of a run, for a corner plot.
+	 * @param chain result of run
+	 * @param bins number of bins of the histograms
+	 * @returns corner data
+	 */
+	public corner(chain: Ensemble_chain, bins: number = 20): Corner_data
+	{
+		let samples = chain.samples;
+		let columns = chain.parameters.map((name, k) => samples.map(sample => sample[k]));
+		let edges = columns.map(column =>
+		{
+			let min = Math.min(...column);
+			let width = (Math.max(...column) - min) / bins || 1;
+			return Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+		});
+		let bin = (value: number, k: number) => Math.min(bins - 1,
+			Math.floor((value - edges[k][0]) / (edges[k][1] - edges[k][0])));
+		let quantile = (sorted: number[], q: number) =>
+		{
+			let position = q * (sorted.length - 1);
+			let i = Math.floor(position);
+			return (i + 1 < sorted.length) ? sorted[i] + (position - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+		};
+
+		let corner: Corner_data = { marginals: [], pairs: [] };
+
+		chain.parameters.forEach((name, k) =>
+		{
+			let column = columns[k];
+			let sorted = column.slice().sort((x, y) => x - y);
+			let mean = column.reduce((sum, value) => sum + value, 0) / column.length;
+			let counts = new Array(bins).fill(0);
+			column.forEach(value => counts[bin(value, k)]++);
+
+			corner.marginals.push({
+				name: name,
+				mean: mean,
+				standard_deviation: Math.sqrt(column.reduce((sum, value) => sum + (value - mean)**2, 0) / column.length),
+				quantiles: [0.16, 0.5, 0.84].map(q => quantile(sorted, q)),
+				edges: edges[k],
+				counts: counts
+			});
+
+			for (let j = 0; j < k; j++)
+			{
+				let counts_2d = Array.from({ length: bins }, () => new Array(bins).fill(0));
+				samples.forEach(sample => counts_2d[bin(sample[k], k)][bin(sample[j], j)]++);
+				corner.pairs.push({
+					x: chain.parameters[j],
+					y: name,
+					x_edges: edges[j],
+					y_edges: edges[k],
+					counts: counts_2d
+				});
+			}
+		});
+
+		return corner;
+	}
+
+
+	/**
+	 * Seeded uniform random generator (mulberry32).
+	 * @returns number in [0, 1)
+	 */
+	private random(): number
+	{
+		this._state = (this._state + 0x6D2B79F5) >>> 0;
+		let t = this._state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+
+	/**
+	 * Standard normal random number (Box-Muller method).
+	 * @returns number
+	 */
+	private gaussian(): number
+	{
+		return Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+	}
+
+
+}
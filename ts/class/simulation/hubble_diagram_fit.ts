@@ -0,0 +1,342 @@
+import { Cosmological_parameter, Simulation_universe } from "./simulation_universe.js";
+import { parsec } from "./../../constants.js";
+
+
+/**
+ * Type Ia supernova of a Hubble diagram: its cosmologic shift, its distance
+ * modulus mu = 5 log10(d_L / 10 pc) and the error on mu.
+ */
+export interface Supernova_observation
+{
+	z: number;
+	distance_modulus: number;
+	error: number;
+}
+
+
+/**
+ * Result of Hubble_diagram_fit.fit: best-fit values with their uncertainties
+ * (square roots of the diagonal of the covariance matrix) and the residuals
+ * observed minus model distance modulus of each supernova.
+ */
+export interface Hubble_diagram_report
+{
+	parameters: {
+		name: Cosmological_parameter,
+		value: number,
+		uncertainty: number
+	}[];
+	covariance: number[][];
+	chi2: number;
+	degrees_of_freedom: number;
+	reduced_chi2: number;
+	iterations: number;
+	z: number[];
+	distance_modulus: number[];
+	error: number[];
+	model: number[];
+	residuals: number[];
+}
+
+
+/**
+ * @class Hubble_diagram_fit
+ *
+ * Fits the parameters of a Simulation_universe to the distance moduli of type Ia
+ * supernovae by chi-square minimization (Levenberg-Marquardt method), the model
+ * distance modulus being computed from Simulation_universe.luminosity_distance
+ * (see Simulation_universe.distance_table). The universe is left with the
+ * best-fit values (see Simulation_universe.set_parameter).
+ *
+ * In a flat universe, the matter parameter follows from the dark energy one:
+ * matter_parameter and parameter_value cannot be fitted together.
+ *
+ * @param universe
+ * @param observations
+ * @param n number of computation points between two consecutive shifts, see distance_table
+ * @param max_iterations
+ * @param tolerance relative variation of the chi-square to stop the minimization
+ *
+ * @method load_table
+ * @method add_observation
+ * @method distance_modulus
+ * @method chi2
+ * @method fit
+ * @method inverse
+ */
+
+export class Hubble_diagram_fit
+{
+
+	private _universe: Simulation_universe;
+	private _observations: Supernova_observation[] = [];
+	private _n: number = 20;
+	private _max_iterations: number = 100;
+	private _tolerance: number = 1e-8;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(universe: Simulation_universe, observations: Supernova_observation[] = [])
+	{
+		this._universe = universe;
+		observations.forEach(observation => this.add_observation(
+			observation.z, observation.distance_modulus, observation.error));
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get universe() { return this._universe; }
+
+	public get observations() { return this._observations; }
+
+
+	public get n() { return this._n; }
+
+	public set n(n: number) { this._n = n; }
+
+
+	public get max_iterations() { return this._max_iterations; }
+
+	public set max_iterations(max_iterations: number) { this._max_iterations = max_iterations; }
+
+
+	public get tolerance() { return this._tolerance; }
+
+	public set tolerance(tolerance: number) { this._tolerance = tolerance; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Reads a table of observations, one supernova per line with z, the distance
+	 * modulus and its error, separated by spaces, tabulations, commas or
+	 * semicolons. Empty lines, lines beginning with # and lines not beginning
+	 * with three numbers (headers) are ignored, as the extra columns.
+	 * @param text content of the table file
+	 * @returns observations added
+	 */
+	public load_table(text: string): Supernova_observation[]
+	{
+		let added: Supernova_observation[] = [];
+
+		text.split(/\r?\n/).forEach(line =>
+		{
+			let values = line.trim().split(/[\s,;]+/).slice(0, 3).map(Number);
+
+			if (line.trim().startsWith("#") || values.length < 3 || values.some(isNaN))
+			{
+				return;
+			}
+			added.push(this.add_observation(values[0], values[1], values[2]));
+		});
+
+		return added;
+	}
+
+
+	/**
+	 * Adds a supernova to the observations.
+	 * @param z cosmologic shift
+	 * @param distance_modulus
+	 * @param error error on the distance modulus
+	 * @returns observation
+	 */
+	public add_observation(z: number, distance_modulus: number, error: number): Supernova_observation
+	{
+		if (z <= 0)
+		{
+			throw new Error("The cosmologic shift of a supernova must be positive.");
+		}
+		if (!(error > 0))
+		{
+			throw new Error("The error on the distance modulus must be positive.");
+		}
+
+		let observation = { z: z, distance_modulus: distance_modulus, error: error };
+		this._observations.push(observation);
+		return observation;
+	}
+
+
+	/**
+	 * Distance modulus mu = 5 log10(d_L / 10 pc) given by the universe.
+	 * @param z_array cosmologic shifts
+	 * @returns distance modulus of each shift
+	 */
+	public distance_modulus(z_array: number[]): number[]
+	{
+		let table = this._universe.distance_table(z_array, this._n);
+		return table.luminosity_distance.map(distance => 5 * Math.log10(distance / (10 * parsec)));
+	}
+
+
+	/**
+	 * @returns chi-square of the observations for the current parameters of the universe
+	 */
+	public chi2(): number
+	{
+		let model = this.distance_modulus(this._observations.map(observation => observation.z));
+		return this._observations.reduce((sum, observation, i) =>
+			sum + ((observation.distance_modulus - model[i]) / observation.error)**2, 0);
+	}
+
+
+	/**
+	 * Minimizes the chi-square with the Levenberg-Marquardt method, the derivatives
+	 * being computed by central differences. The covariance matrix is the inverse
+	 * of the curvature matrix at the minimum.
+	 * @param parameters parameters to fit, starting from their current values
+	 * @returns report
+	 */
+	public fit(
+		parameters: Cosmological_parameter[] = ["hubble_cst", "matter_parameter", "parameter_value"]
+	): Hubble_diagram_report
+	{
+		let observations = this._observations;
+		let z = observations.map(observation => observation.z);
+
+		if (observations.length <= parameters.length)
+		{
+			throw new Error("The fit needs more supernovae than parameters.");
+		}
+		if (this._universe.is_flat && parameters.includes("matter_parameter")
+			&& parameters.includes("parameter_value"))
+		{
+			throw new Error("In a flat universe, matter_parameter and parameter_value cannot be fitted together.");
+		}
+
+		// Weighted residuals and their derivatives for the values p of the parameters
+		let residuals = (p: number[]) =>
+		{
+			p.forEach((value, k) => this._universe.set_parameter(parameters[k], value));
+			let model = this.distance_modulus(z);
+			return observations.map((observation, i) =>
+				(observation.distance_modulus - model[i]) / observation.error);
+		};
+		let jacobian = (p: number[]) => parameters.map((name, k) =>
+		{
+			let delta = 1e-6 * Math.max(Math.abs(p[k]), 1);
+			let plus = residuals(p.map((value, j) => (j === k) ? value + delta : value));
+			let minus = residuals(p.map((value, j) => (j === k) ? value - delta : value));
+			return plus.map((value, i) => (minus[i] - value) / (2 * delta));
+		});
+		let curvature = (J: number[][]) => J.map(row_k => J.map(row_j =>
+			row_k.reduce((sum, value, i) => sum + value * row_j[i], 0)));
+		let sum_squares = (r: number[]) => r.reduce((sum, value) => sum + value**2, 0);
+
+		let p = parameters.map(name => this._universe.get_parameter(name));
+		let r = residuals(p);
+		let chi2 = sum_squares(r);
+		let lambda = 1e-3;
+		let iterations = 0;
+
+		if (!isFinite(chi2))
+		{
+			throw new Error("The universe of the initial parameters cannot be computed at the shifts of the supernovae.");
+		}
+
+		while (iterations < this._max_iterations)
+		{
+			iterations++;
+			let J = jacobian(p);
+			let A = curvature(J);
+			let gradient = J.map(row => row.reduce((sum, value, i) => sum + value * r[i], 0));
+			let converged = false;
+
+			// The damping increases until the chi-square decreases
+			while (lambda < 1e10)
+			{
+				let damped = A.map((row, k) => row.map((value, j) => (j === k) ? value * (1 + lambda) : value));
+				let inverse = this.inverse(damped);
+				let trial_p = p.map((value, k) => value + inverse[k].reduce(
+					(sum, element, j) => sum + element * gradient[j], 0));
+				let trial_r = residuals(trial_p);
+				let trial_chi2 = sum_squares(trial_r);
+
+				if (isFinite(trial_chi2) && trial_chi2 <= chi2)
+				{
+					converged = (chi2 - trial_chi2) <= this._tolerance * chi2;
+					p = trial_p;
+					r = trial_r;
+					chi2 = trial_chi2;
+					lambda = Math.max(lambda / 10, 1e-10);
+					break;
+				}
+				lambda *= 10;
+			}
+
+			if (converged || lambda >= 1e10)
+			{
+				break;
+			}
+		}
+
+		let covariance = this.inverse(curvature(jacobian(p)));
+		residuals(p);
+		let model = this.distance_modulus(z);
+
+		return {
+			parameters: parameters.map((name, k) => ({
+				name: name,
+				value: p[k],
+				uncertainty: Math.sqrt(covariance[k][k])
+			})),
+			covariance: covariance,
+			chi2: chi2,
+			degrees_of_freedom: observations.length - parameters.length,
+			reduced_chi2: chi2 / (observations.length - parameters.length),
+			iterations: iterations,
+			z: z,
+			distance_modulus: observations.map(observation => observation.distance_modulus),
+			error: observations.map(observation => observation.error),
+			model: model,
+			residuals: observations.map((observation, i) => observation.distance_modulus - model[i])
+		};
+	}
+
+
+	/**
+	 * Gauss-Jordan inversion of a square matrix.
+	 * @param matrix
+	 * @returns inverse of the matrix
+	 */
+	private inverse(matrix: number[][]): number[][]
+	{
+		let n = matrix.length;
+		let a = matrix.map((row, i) => row.concat(row.map((_, j) => (i === j) ? 1 : 0)));
+
+		for (let k = 0; k < n; k++)
+		{
+			let pivot = k;
+			for (let i = k + 1; i < n; i++)
+			{
+				if (Math.abs(a[i][k]) > Math.abs(a[pivot][k])) { pivot = i; }
+			}
+			if (!(Math.abs(a[pivot][k]) > 0))
+			{
+				throw new Error("The parameters cannot be fitted independently, the curvature matrix is singular.");
+			}
+			[a[k], a[pivot]] = [a[pivot], a[k]];
+
+			let value = a[k][k];
+			a[k] = a[k].map(element => element / value);
+			for (let i = 0; i < n; i++)
+			{
+				if (i !== k)
+				{
+					let factor = a[i][k];
+					a[i] = a[i].map((element, j) => element - factor * a[k][j]);
+				}
+			}
+		}
+
+		return a.map(row => row.slice(n));
+	}
+
+
+}
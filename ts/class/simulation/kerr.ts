@@ -1,6 +1,5 @@
 import { Mobile } from "./simulation objects/mobile.js";
 import { Simulation_trajectory } from "./simulation_trajectory.js";
-import {c,G} from "./../../constants.js";
 
 
 /**
@@ -25,7 +24,25 @@ import {c,G} from "./../../constants.js";
  * @method mobile_new_position
  * @method mobile_velocity
  * @method mobile_clocks
+ * @method mobile_normalization
+ * @method mobile_potential
+ * @method isco_radius
+ * @method photon_sphere_radius
+ * @method marginally_bound_radius
+ * @method circular_orbit_velocity
+ * @method lense_thirring_precession
+ * @method trace_ray
+ * @method mobile_frequency_ratio
  * @method KM_delta_r
+ * @method KM_sigma
+ * @method KM_local_observer
+ * @method KM_is_equatorial
+ * @method KM_radial_function
+ * @method KM_polar_function
+ * @method KM_dt
+ * @method KM_dphi
+ * @method KM_3D_trajectory_A
+ * @method KM_3D_trajectory_DO
  * @method KM_MP_integration_constants
  * @method KM_MP_potential_A
  * @method KM_MP_potential_DO
@@ -49,9 +66,10 @@ export class Kerr extends Simulation_trajectory
 		collidable: boolean,
 		mass: number,
 		radius: number,
-		angular_m: number
+		angular_m: number,
+		geometric_units: boolean = false
 	) {
-    	super(id, collidable, mass, radius, angular_m);
+    	super(id, collidable, mass, radius, angular_m, 0, geometric_units);
 	}
 
 
@@ -62,107 +80,115 @@ export class Kerr extends Simulation_trajectory
      * Method that loops over the mobile list and determines the 
      * correct integration constants before storing them in each
      * mobile as a property. It also takes the user input in terms
-     * of physical velocity and calculate the corresponding U_r and U_phi.
+     * of physical velocity and calculate the corresponding U_r, U_theta and U_phi.
+     * The physical velocity is the one measured by the local observer with
+     * zero angular momentum (ZAMO), v_alpha being its angle with the radial
+     * direction and v_beta its inclination towards the north pole.
+     * U_r = dr/dtau, U_theta = dtheta/dtau and U_phi = gamma v_phi, so that
+     * the formulas reduce to the Schwarzschild ones when a = 0. Photons are
+     * normalized with E = 1 when a = 0.
+     * For a distant observer, U_r and U_theta are then converted to dr/dt and dtheta/dt.
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
      */
-	public mobile_initialization(): void
+	public mobile_initialization(reference_frame: "A" | "DO" = "A"): void
 	{
 		this.mobile_list.forEach(mobile =>
 		{
-			let R_s = this.central_body.R_s;
 			let delta = this.KM_delta_r(mobile);
+			let sigma = this.KM_sigma(mobile.r, mobile.theta);
+			let observer = this.KM_local_observer(mobile.r, mobile.theta);
+
+			let v_r = mobile.v_r * Math.cos(mobile.v_alpha);
+			let v_phi = mobile.v_r * Math.sin(mobile.v_alpha) * Math.cos(mobile.v_beta);
+			let v_theta = -mobile.v_r * Math.sin(mobile.v_alpha) * Math.sin(mobile.v_beta);
+			let factor: number;
 
 			if (!mobile.is_photon)
 			{
-				mobile.U_r = mobile.v_r * Math.cos(mobile.v_alpha) * c
-				* delta**.5 / (mobile.r * (c**2 - mobile.v_r**2)**.5);
-				mobile.U_phi = mobile.v_r * Math.sin(mobile.v_alpha) * c * Math.sqrt(
-					Math.abs(mobile.r * (mobile.r - R_s)) / Math.sqrt(
-						delta * (c**2 - mobile.v_r**2)
-					)
-				);
+				factor = 1 / Math.sqrt(1 - (mobile.v_r / this.c)**2);
+			}
+			else
+			{
+				factor = 1 / observer.alpha;
+			}
 
+			mobile.U_r = factor * v_r * Math.sqrt(delta / sigma);
+			mobile.U_theta = factor * v_theta / Math.sqrt(sigma);
+			mobile.U_phi = factor * v_phi;
+
+			if (!mobile.is_photon)
+			{
 				this.KM_MP_integration_constants(mobile);
 			}
 			else
 			{
-				mobile.U_r = c * Math.cos(mobile.v_alpha) * Math.sqrt(
-					delta / (mobile.r * (mobile.r - R_s))
-				);
-				mobile.U_phi = c * Math.sin(mobile.v_alpha) * mobile.r / Math.sqrt(
-					delta
-				);
-				
 				this.KM_PH_integration_constants(mobile);
 			}
+
+			if (this.mobile_frame(mobile, reference_frame) === "DO")
+			{
+				let dt = this.KM_dt(mobile, mobile.r, mobile.theta);
+
+				mobile.U_r /= dt;
+				mobile.U_theta /= dt;
+			}
 		});
 	}
 
 
 	/**
-     * Determines the right dtau for each mobile and updates the parameter.
-     * The dtau and free_fall_time (temps_chute_libre in the old code) formulas
-     * are not included in the theory but are the result of trial and error.
-     * Ask Mr. Cordoni and Mr. Reboul for more information..
-     */
+	 * Determines the right dtau for each mobile and updates the parameter,
+	 * see Simulation_trajectory.step_size. The velocity includes the polar
+	 * component, so that orbits outside the equatorial plane are sampled
+	 * finely enough.
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
 	public mobile_dtau(reference_frame: "A" | "DO"): void
-	{ 
+	{
 		this.mobile_list.forEach(mobile =>
 		{
-			let free_fall_time = Math.PI * mobile.r * Math.sqrt(
-				mobile.r / (2 * G * this.central_body.mass)
-			)**.5 / 2;
-			 
-			if (!mobile.is_photon)
-			{
-				mobile.dtau = mobile.r*500
-				/ (Math.sqrt(mobile.U_r**2 + mobile.U_phi**2) + 1e-20);
-
-				if (mobile.dtau > free_fall_time/500)
-        	        {
-        	            mobile.dtau = free_fall_time/500;
-        	        }
-			}
-			else if (mobile.is_photon)
-			{
-				if (reference_frame === "A")
-				{
-					mobile.dtau = 1e-3*mobile.r
-        	        / (Math.abs(mobile.U_r) + Math.abs(mobile.U_phi) + 1);
-        	    }
-        	    else
-        	    {
-        	        mobile.dtau = mobile.r
-        	        / (Math.sqrt(mobile.U_r**2 + mobile.U_phi**2) + 1) / 1000;
-					
-        	        if (mobile.dtau > free_fall_time/500)
-        	        {
-        	            mobile.dtau = free_fall_time/500;
-        	        }
-				}
-			}
+			mobile.dtau = this.step_size(mobile, reference_frame, mobile.r, Math.sqrt(
+				mobile.U_r**2 + mobile.U_phi**2 + (mobile.r * mobile.U_theta)**2
+			));
 		});
 	}
 
 
    /**
-     * Applies the Runge-Kutta algorithm to the relevant second derivative
-     * expression for the current simulation.
+     * Applies the integration method selected by integrator (RK4, RK45 or GL4)
+     * to the relevant second derivative expression for the current simulation.
+     * Outside the equatorial plane, the system (r, U_r, theta, U_theta, phi)
+     * is integrated instead and phi is returned with the new position.
      * @param mobile
      * @param step dtau
      * @param reference_frame Astronaut (A), Distant Observer (DO)
      * 
-     * @returns [tau, r, U_r]
+     * @returns [tau, r, U_r] or [tau, r, U_r, theta, U_theta, phi]
      */
     public mobile_trajectory( mobile: Mobile, step: number, reference_frame: "A" | "DO"): number[]
     {
         let dtau = step;
-        let tau: number;
+        let tau: number = 0;
         let r = mobile.r;
         let U_r = mobile.U_r;
 
-		if (!mobile.is_photon && reference_frame === "A")
+		if (!this.KM_is_equatorial(mobile))
+		{
+			let dt = reference_frame === "DO" ? this.KM_dt(mobile, r, mobile.theta) : 1;
+			let y = this.solve_system(
+				mobile,
+				dtau,
+				tau,
+				[r, U_r * dt, mobile.theta, mobile.U_theta * dt, mobile.phi],
+				reference_frame === "A" ? this.KM_3D_trajectory_A : this.KM_3D_trajectory_DO
+			);
+			dt = reference_frame === "DO" ? this.KM_dt(mobile, y[0], y[2]) : 1;
+
+			return [tau + dtau, y[0], y[1] / dt, y[2], y[3] / dt, y[4]];
+		}
+		else if (!mobile.is_photon && reference_frame === "A")
 		{
-			return this.runge_kutta_equation_order2(
+			return this.solve_equation_order2(
 				mobile,
 				dtau,
 				tau,
@@ -173,7 +199,7 @@ export class Kerr extends Simulation_trajectory
 		}
 		else if (!mobile.is_photon && reference_frame === "DO")
 		{
-			return this.runge_kutta_equation_order2(
+			return this.solve_equation_order2(
 				mobile,
 				dtau,
 				tau,
@@ -184,7 +210,7 @@ export class Kerr extends Simulation_trajectory
 		}
 		else if (mobile.is_photon && reference_frame === "A")
 		{
-			return this.runge_kutta_equation_order2(
+			return this.solve_equation_order2(
 				mobile,
 				dtau,
 				tau,
@@ -195,7 +221,7 @@ export class Kerr extends Simulation_trajectory
 		}
 		else if (mobile.is_photon && reference_frame === "DO")
 		{
-			return this.runge_kutta_equation_order2(
+			return this.solve_equation_order2(
 				mobile,
 				dtau,
 				tau,
@@ -222,56 +248,52 @@ export class Kerr extends Simulation_trajectory
 		mobile.r = runge_kutta_result[1];
 		mobile.U_r = runge_kutta_result[2];
 
-		if (reference_frame === "A")
+		if (runge_kutta_result.length > 3)
+		{
+			mobile.theta = runge_kutta_result[3];
+			mobile.U_theta = runge_kutta_result[4];
+			mobile.phi = runge_kutta_result[5];
+		}
+		else if (reference_frame === "A")
 		{
-			mobile.phi += c * dtau / this.KM_delta_r(mobile)
+			mobile.phi += this.c * dtau / this.KM_delta_r(mobile)
 			* (R_s * a * mobile.E / mobile.r + (1 - R_s / mobile.r) * mobile.L);
 		}
 		else
 		{
-			mobile.phi += c * dtau
+			mobile.phi += this.c * dtau
 			* (R_s * a * mobile.E / mobile.r + (1 - R_s / mobile.r) * mobile.L)
 			/ ((mobile.r**2 + a**2 + R_s * a**2 / mobile.r)
 			* mobile.E - R_s * a * mobile.L / mobile.r);
 		}
+
+		this.monitor_conservation(mobile, reference_frame);
 	}
 
 
 	/**
-     * Update the physical velocity of a mobile
+     * Update the physical velocity of a mobile, measured by the local
+     * observer with zero angular momentum (ZAMO). The radial and polar
+     * components are given in absolute value.
      * @param mobile 
      */
 	public mobile_velocity(mobile: Mobile)
 	{
-		let R_s = this.central_body.R_s;
-		let a = this.central_body.a;
-		let delta = this.KM_delta_r(mobile);
-		let dphi = c * ((R_s * a * mobile.E) / mobile. r + (1 - R_s / mobile.r)*mobile.L)
-		/ ((mobile.r**2 + a**2 + (R_s / mobile.r) * a**2)
-		* mobile.E - R_s * a * mobile.L / mobile.r);
-		mobile.v_phi = Math.sqrt(delta * dphi**2
-			/ (1 - (R_s / mobile.r) + R_s * a * dphi / (c * mobile.r)**2));
- 
-		if (!mobile.is_photon)
-		{
-			let dr = c**2 * (mobile.E**2 - 1 + (R_s / mobile.r) + (a**2 * (mobile.E**2 - 1)
-			- mobile.L**2) / mobile.r**2 + R_s * (((mobile.L - a * mobile.E)**2) / mobile.r**3));
-                dr *= (delta**2) / ((mobile.r**2 + a**2 + (R_s / mobile.r) * a**2)
-				* mobile.E - R_s * a * mobile.L / mobile.r)**2;
-            mobile.v_r = Math.sqrt(Math.abs((1 - R_s / mobile.r) * (mobile.r**2 * dr / delta)
-			/ ((1 - (R_s / mobile.r) + R_s * a * dphi / (c * mobile.r))**2)));
-		}
-		else
-		{
-			let dr = c**2 * (mobile.E**2 + (a**2 * mobile.E**2 - mobile.L**2) / mobile.r**2
-			+ R_s * (((mobile.L - a * mobile.E)**2) / (mobile.r**3)));
-            dr *= delta**2 / (((mobile.r**2 + a**2 + R_s / mobile.r * a**2) * mobile.E
-			- R_s* a * mobile.L / mobile.r)**2);
-            
-			mobile.v_r = Math.sqrt(Math.abs((1 - R_s / mobile.r) * (mobile.r**2 * dr / delta)
-			/ (1 - R_s / mobile.r + R_s * a * dphi / (c * mobile.r))**2));
-		}
-		mobile.v_norm = (mobile.v_r**2 + mobile.v_phi**2)**.5;
+		let r = mobile.r;
+		let theta = mobile.theta;
+		let sigma = this.KM_sigma(r, theta);
+		let observer = this.KM_local_observer(r, theta);
+
+		// Lorentz factor for a massive particle, local energy for a photon
+		let gamma = (mobile.E - observer.omega * mobile.L) / observer.alpha;
+
+		let radial = Math.max(this.KM_radial_function(mobile, r)[0], 0);
+		let polar = Math.max(this.KM_polar_function(mobile, theta)[0], 0);
+
+		mobile.v_phi = this.c * mobile.L / (observer.varpi * gamma);
+		mobile.v_r = this.c * Math.sqrt(radial / (sigma * this.KM_delta_r(mobile))) / gamma;
+		mobile.v_theta = this.c * Math.sqrt(polar / sigma) / gamma;
+		mobile.v_norm = (mobile.v_r**2 + mobile.v_phi**2 + mobile.v_theta**2)**.5;
 	}
 
 
@@ -282,10 +304,8 @@ export class Kerr extends Simulation_trajectory
      */
 	public mobile_clocks(mobile: Mobile, reference_frame: "A" | "DO")
 	{
-		let radius = this.central_body.radius;
-		let a = this.central_body.a;
-		let R_s = this.central_body.R_s;
 		let R_hp = this.central_body.R_hp;
+		let dt = this.KM_dt(mobile, mobile.r, mobile.theta);
 
 		if (reference_frame === "A")
 		{
@@ -295,8 +315,7 @@ export class Kerr extends Simulation_trajectory
 
 				if (mobile.r > R_hp)
 				{
-					mobile.clock_do += mobile.dtau * ((mobile.r**2 + a**2 + R_s * a**2 / mobile.E)
-					- R_s * a * mobile.L / mobile.r) / this.KM_delta_r(mobile);
+					mobile.clock_do += mobile.dtau * dt;
 				}
 				else
 				{
@@ -310,16 +329,309 @@ export class Kerr extends Simulation_trajectory
 
 			if (!mobile.is_photon && mobile.r >= R_hp)
 			{
-				mobile.clock_a += mobile.dtau * this.KM_delta_r(mobile) / ((mobile.r**2 + a**2
-					/ mobile.r) * mobile.E - R_s * a * mobile.L / mobile.r);
+				mobile.clock_a += mobile.dtau / dt;
+			}
+		}
+	}
+
+
+	/**
+	 * Relative error on the normalization condition, used by the conservation
+	 * monitor. In the DO frame, U_r and U_theta are converted to derivatives
+	 * with respect to tau with dt/dtau.
+	 * In the equatorial plane, the result is ((dr/dtau)² / c² + V_A - E²) / E².
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @returns ((sigma dr/dtau / c)² - R + delta ((sigma dtheta/dtau / c)² - Theta)) / (sigma E)²
+	 */
+	public mobile_normalization(mobile: Mobile, reference_frame: "A" | "DO"): number
+	{
+		let sigma = this.KM_sigma(mobile.r, mobile.theta);
+		let dt = reference_frame === "DO" ? this.KM_dt(mobile, mobile.r, mobile.theta) : 1;
+		let U_r = mobile.U_r * dt;
+		let U_theta = mobile.U_theta * dt;
+
+		let radial = (sigma * U_r / this.c)**2 - this.KM_radial_function(mobile, mobile.r)[0];
+		let polar = (sigma * U_theta / this.c)**2 - this.KM_polar_function(mobile, mobile.theta)[0];
+
+		return (radial + this.KM_delta_r(mobile) * polar) / (sigma * mobile.E)**2;
+	}
+
+
+	/**
+	 * Potential for an astronaut (A) divided by c² at the current position
+	 * of the mobile. Outside the equatorial plane, it is the radial part
+	 * E² - R(r) / r⁴ of the motion.
+	 * @param mobile
+	 * @returns Potential
+	 */
+	public mobile_potential(mobile: Mobile): number
+	{
+		if (!mobile.is_photon)
+		{
+			return this.KM_MP_potential_A(mobile);
+		}
+		return this.KM_PH_potential_A(mobile);
+	}
+
+
+	/**
+	 * Radius of the innermost stable circular orbit in the equatorial plane
+	 * (Bardeen, Press and Teukolsky 1972).
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 * @returns ISCO radius
+	 */
+	public isco_radius(prograde: boolean = true): number
+	{
+		let M = this.central_body.R_s / 2;
+		let chi = Math.abs(this.central_body.a) / M;
+		let Z_1 = 1 + Math.cbrt(1 - chi**2) * (Math.cbrt(1 + chi) + Math.cbrt(1 - chi));
+		let Z_2 = Math.sqrt(3 * chi**2 + Z_1**2);
+		let sign = prograde ? -1 : 1;
+
+		return M * (3 + Z_2 + sign * Math.sqrt((3 - Z_1) * (3 + Z_1 + 2 * Z_2)));
+	}
+
+
+	/**
+	 * Radius of the circular orbit of light in the equatorial plane
+	 * (Bardeen, Press and Teukolsky 1972).
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 * @returns photon orbit radius
+	 */
+	public photon_sphere_radius(prograde: boolean = true): number
+	{
+		let M = this.central_body.R_s / 2;
+		let chi = Math.abs(this.central_body.a) / M;
+		let sign = prograde ? -1 : 1;
+
+		return 2 * M * (1 + Math.cos(2/3 * Math.acos(sign * chi)));
+	}
+
+
+	/**
+	 * Radius of the marginally bound circular orbit in the equatorial plane,
+	 * 2 M ∓ a + 2 sqrt(M (M ∓ a)), the innermost circular orbit with E <= 1
+	 * (Bardeen, Press and Teukolsky 1972).
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 * @returns marginally bound orbit radius
+	 */
+	public marginally_bound_radius(prograde: boolean = true): number
+	{
+		let M = this.central_body.R_s / 2;
+		let a = Math.abs(this.central_body.a);
+		let sign = prograde ? -1 : 1;
+
+		return 2 * M + sign * a + 2 * Math.sqrt(M * (M + sign * a));
+	}
+
+
+	/**
+	 * Initial physical velocity of a circular orbit in the equatorial plane,
+	 * the one measured by the local observer with zero angular momentum (see
+	 * mobile_initialization), perpendicular to the radial direction
+	 * (Bardeen, Press and Teukolsky 1972):
+	 * v = ± c sqrt(M) (r² ∓ 2 a sqrt(M r) + a²) / (sqrt(delta) (r^(3/2) ± a sqrt(M)))
+	 * with M = R_s/2, the upper sign for a prograde orbit. The mobile can be
+	 * created with new Mobile(id, false, r, phi, velocity, v_alpha).
+	 * The circular orbits exist outside the photon orbit, they are stable
+	 * outside the ISCO and bound (E < 1) outside the marginally bound orbit.
+	 * @param r radius of the orbit, outside the central body
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 * @returns velocity (m/s), v_alpha (deg), stable and bound
+	 */
+	public circular_orbit_velocity(r: number, prograde: boolean = true)
+	{
+		let M = this.central_body.R_s / 2;
+		let a = Math.abs(this.central_body.a);
+		let sign = prograde ? 1 : -1;
+		let delta = r**2 - 2 * M * r + a**2;
+
+		if (r < this.central_body.radius)
+		{
+			throw new Error("The circular orbit is inside the central body.");
+		}
+		if (!(r > this.photon_sphere_radius(prograde)))
+		{
+			throw new Error("There is no circular orbit for a massive particle inside the photon orbit.");
+		}
+
+		// The direction of phi is the one of the rotation when a >= 0
+		let direction = (this.central_body.a < 0) ? -sign : sign;
+
+		return {
+			velocity: this.c * Math.sqrt(M) * (r**2 - sign * 2 * a * Math.sqrt(M * r) + a**2)
+			/ (Math.sqrt(delta) * (r**1.5 + sign * a * Math.sqrt(M))),
+			v_alpha: direction * 90,
+			stable: r >= this.isco_radius(prograde),
+			bound: r > this.marginally_bound_radius(prograde)
+		};
+	}
+
+
+	/**
+	 * Lense-Thirring precession rate of the orbital plane in the weak field
+	 * limit, 2 G J / (c² a³ (1 - e²)^(3/2)), in the time of a distant observer.
+	 * The nodes move in the direction of the rotation of the central body.
+	 * @param semi_major_axis
+	 * @param eccentricity
+	 * @returns precession rate of the line of nodes (rad/s)
+	 */
+	public lense_thirring_precession(semi_major_axis: number, eccentricity: number = 0): number
+	{
+		return 2 * this.G * this.central_body.angular_m
+		/ (this.c**2 * semi_major_axis**3 * (1 - eccentricity**2)**1.5);
+	}
+
+
+	/**
+	 * Backward ray tracing of the photon seen by a distant observer at the point
+	 * (alpha, beta) of its image plane (Bardeen coordinates, beta along the
+	 * projection of the rotation axis). The constants of the photon (E = 1) are
+	 * L = -alpha sin(theta_o) and Q = beta² + cos²(theta_o) (alpha² - a²), and
+	 * the KM_3D equations are integrated towards the past from the observer, with
+	 * steps of the affine parameter proportional to r / c. Far from the central
+	 * body, where R(r) has no root, U_r is projected on (sigma dr/dlambda)² = c² R(r)
+	 * after each step: the error on R(r), which grows like r⁴, would otherwise
+	 * change the path near the central body.
+	 *
+	 * The photon comes either from the horizon (captured, inside the shadow), from
+	 * a thin disk in the equatorial plane between r_disk[0] and r_disk[1], or
+	 * from the celestial sphere behind the central body (escaped).
+	 * @param alpha horizontal coordinate on the image plane (m)
+	 * @param beta vertical coordinate on the image plane (m)
+	 * @param r_observer radial coordinate of the observer, far from the central body (m)
+	 * @param theta_observer polar angle of the observer (rad)
+	 * @param r_disk inner and outer radii of the disk, no disk when undefined (m)
+	 * @param step affine parameter step divided by r / c
+	 * @returns type, and r, theta, phi where the photon comes from: the disk
+	 * crossing, or the crossing of the sphere r = r_observer when escaped
+	 */
+	public trace_ray(
+		alpha: number,
+		beta: number,
+		r_observer: number,
+		theta_observer: number,
+		r_disk?: number[],
+		step: number = 1e-2
+	)
+	{
+		let a = this.central_body.a;
+		let R_hp = this.central_body.R_hp;
+		let sin_o = Math.sin(theta_observer);
+		let cos_o = Math.cos(theta_observer);
+		let photon = new Mobile("ray", true, r_observer, 0, 0, 0, theta_observer * 180 / Math.PI);
+
+		photon.E = 1;
+		photon.L = -alpha * sin_o;
+		photon.Q = beta**2 + cos_o**2 * (alpha**2 - a**2);
+
+		let sigma = this.KM_sigma(r_observer, theta_observer);
+		let y = [
+			r_observer,
+			this.c * Math.sqrt(Math.max(this.KM_radial_function(photon, r_observer)[0], 0)) / sigma,
+			theta_observer,
+			Math.sign(beta) * this.c * Math.sqrt(Math.max(this.KM_polar_function(photon, theta_observer)[0], 0)) / sigma,
+			0
+		];
+		let type: "captured" | "disk" | "escaped" = "escaped";
+		let r_far = 2 * Math.sqrt(photon.L**2 + photon.Q + a**2) + 2 * this.central_body.R_s;
+
+		for (let i = 0; i < 1e6; i++)
+		{
+			let previous = y;
+			y = this.solve_system(photon, -step * y[0] / this.c, 0, y, this.KM_3D_trajectory_A);
+
+			if (y[0] > r_far)
+			{
+				y[1] = Math.sign(y[1]) * this.c * Math.sqrt(Math.max(this.KM_radial_function(photon, y[0])[0], 0))
+				/ this.KM_sigma(y[0], y[2]);
+			}
+
+			if (!(y[0] > R_hp * 1.01))
+			{
+				type = "captured";
+				break;
+			}
+			// Crossing of the equatorial plane
+			if (r_disk !== undefined && Math.cos(previous[2]) * Math.cos(y[2]) <= 0)
+			{
+				let fraction = Math.cos(previous[2]) / (Math.cos(previous[2]) - Math.cos(y[2]));
+				let r = previous[0] + fraction * (y[0] - previous[0]);
+
+				if (r_disk[0] <= r && r <= r_disk[1])
+				{
+					y = [r, 0, Math.PI / 2, 0, previous[4] + fraction * (y[4] - previous[4])];
+					type = "disk";
+					break;
+				}
+			}
+			// Going back to infinity, position interpolated on the sphere r = r_observer
+			if (y[0] > r_observer && y[1] < 0)
+			{
+				let fraction = (r_observer - previous[0]) / (y[0] - previous[0]);
+				y = y.map((value, i) => previous[i] + fraction * (value - previous[i]));
+				break;
 			}
 		}
+
+		return { type: type, r: y[0], theta: y[2], phi: y[4] };
+	}
+
+
+	/**
+	 * Frequency received by a distant observer divided by the frequency emitted
+	 * by the mobile, for a photon sent outward with E = 1, L = b and no polar
+	 * motion at the emitter, Q = cos²(theta) (b² / sin²(theta) - a²).
+	 * With u the 4-velocity of the mobile, the ratio is 1 / (-k.u) with
+	 * -k.u = dt/dtau - b (dphi/dtau) / c - sqrt(R(r)) / delta (dr/dtau) / c.
+	 * It is the product of the gravitational shift between the local observer
+	 * with zero angular momentum (ZAMO) and the distant observer,
+	 * alpha / (1 - omega b), which includes the frame dragging, and of the
+	 * Doppler shift between the mobile and the ZAMO.
+	 * Beyond the horizon, no signal comes out and the ratios are 0.
+	 * When a = 0, the ratios are the Schwarzschild ones.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @param b impact parameter of the photon (m), positive in the direction of phi
+	 * @returns ratio, gravitational and doppler, NaN when the photon cannot
+	 * leave r with this impact parameter
+	 */
+	public mobile_frequency_ratio(mobile: Mobile, reference_frame: "A" | "DO", b: number = 0)
+	{
+		let a = this.central_body.a;
+		let r = mobile.r;
+		let theta = mobile.theta;
+
+		if (r <= this.central_body.R_hp)
+		{
+			return { ratio: 0, gravitational: 0, doppler: 0 };
+		}
+
+		let photon = new Mobile("signal", true, r, 0, 0, 0, theta * 180 / Math.PI);
+		photon.E = 1;
+		photon.L = b;
+		photon.Q = Math.cos(theta)**2 * ((b / Math.sin(theta))**2 - a**2);
+
+		let dt = this.KM_dt(mobile, r, theta);
+		let U_r = (reference_frame === "DO") ? mobile.U_r * dt : mobile.U_r;
+		let observer = this.KM_local_observer(r, theta);
+		let gravitational = observer.alpha / (1 - observer.omega * b);
+		let k_u = dt - b * this.KM_dphi(mobile, r, theta) / this.c
+		- Math.sqrt(this.KM_radial_function(photon, r)[0]) / this.KM_delta_r(mobile, r) * U_r / this.c;
+
+		return {
+			ratio: 1 / k_u,
+			gravitational: gravitational,
+			doppler: 1 / (k_u * gravitational)
+		};
 	}
 
 
 	/*
 	 * The spacial and temporal coordinates are (r, theta, phi, t)
-	 * All simulations take place on the theta=pi/2 plane
+	 * The KM_MP and KM_PH simulations take place on the theta=pi/2 plane,
+	 * mobiles outside of it use the KM_3D equations with the Carter constant Q.
 	 * U_r is dr and U_phi is dphi
 	 * R_s Schwarzschild radius. 
 	 * The Kerr metric also uses R_h+ and R_h-, see theory.
@@ -334,14 +646,210 @@ export class Kerr extends Simulation_trajectory
 	/**
 	 * Kerr metric (KM)
 	 * 
-	 * Defines a new variable delta(r)
+	 * Defines a new variable delta(r) = r² - R_s r + a², its roots are R_h+
+	 * and R_h- (none for a naked singularity).
 	 * @param mobile
+	 * @param r radial coordinate, the one of the mobile by default
 	 * @returns delta(r)
 	 */
-	protected KM_delta_r(mobile: Mobile): number
+	protected KM_delta_r(mobile: Mobile, r: number = mobile.r): number
 	{
-		return (mobile.r - this.central_body.R_hp)
-		* (mobile.r - this.central_body.R_hm);
+		return r**2 - this.central_body.R_s * r + this.central_body.a**2;
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * Defines sigma(r, theta) = r² + a² cos²(theta)
+	 * @param r
+	 * @param theta
+	 * @returns sigma(r, theta)
+	 */
+	protected KM_sigma(r: number, theta: number): number
+	{
+		return r**2 + (this.central_body.a * Math.cos(theta))**2;
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * Local observer with zero angular momentum (ZAMO), dragged by the
+	 * rotation of the central body.
+	 * @param r
+	 * @param theta
+	 * @returns alpha lapse function, omega angular velocity of the observer
+	 * divided by c (1/m) and varpi its distance to the rotation axis
+	 */
+	protected KM_local_observer(r: number, theta: number)
+	{
+		let R_s = this.central_body.R_s;
+		let a = this.central_body.a;
+		let sigma = this.KM_sigma(r, theta);
+		let delta = r**2 - R_s * r + a**2;
+		let A = (r**2 + a**2)**2 - a**2 * delta * Math.sin(theta)**2;
+
+		return {
+			alpha: Math.sqrt(sigma * delta / A),
+			omega: R_s * a * r / A,
+			varpi: Math.sqrt(A / sigma) * Math.sin(theta)
+		};
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * A mobile stays in the equatorial plane if it starts in it
+	 * without polar velocity. Both are compared with a tolerance, so that
+	 * rounding errors do not make the mobile switch between both paths.
+	 * @param mobile
+	 */
+	protected KM_is_equatorial(mobile: Mobile): boolean
+	{
+		let velocity = Math.sqrt(mobile.U_r**2 + mobile.U_phi**2 + (mobile.r * mobile.U_theta)**2);
+
+		return Math.abs(Math.cos(mobile.theta)) <= 1e-6
+		&& Math.abs(mobile.r * mobile.U_theta) <= 1e-6 * velocity;
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * Radial function R(r) = P² - delta (mu² r² + (L - a E)² + Q),
+	 * with P = E (r² + a²) - a L and mu = 1 (massive particle) or 0 (photon).
+	 * The radial motion follows (sigma dr/dtau)² = c² R(r).
+	 * @param mobile
+	 * @param r
+	 * @returns [R(r), dR/dr]
+	 */
+	protected KM_radial_function(mobile: Mobile, r: number): number[]
+	{
+		let R_s = this.central_body.R_s;
+		let a = this.central_body.a;
+		let mu = mobile.is_photon ? 0 : 1;
+		let delta = this.KM_delta_r(mobile, r);
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+		let K = mu * r**2 + (mobile.L - a * mobile.E)**2 + mobile.Q;
+
+		return [
+			P**2 - delta * K,
+			4 * mobile.E * r * P - (2*r - R_s) * K - 2 * mu * r * delta
+		];
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * Polar function Theta(theta) = Q - cos²(theta) (a² (mu² - E²) + L² / sin²(theta)).
+	 * The polar motion follows (sigma dtheta/dtau)² = c² Theta(theta).
+	 * @param mobile
+	 * @param theta
+	 * @returns [Theta(theta), dTheta/dtheta]
+	 */
+	protected KM_polar_function(mobile: Mobile, theta: number): number[]
+	{
+		let a = this.central_body.a;
+		let mu = mobile.is_photon ? 0 : 1;
+		let cos = Math.cos(theta);
+		let sin = Math.sin(theta);
+		let X = a**2 * (mu - mobile.E**2);
+
+		return [
+			mobile.Q - cos**2 * (X + mobile.L**2 / sin**2),
+			2 * sin * cos * X + 2 * mobile.L**2 * cos / sin**3
+		];
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * dt/dtau = (a (L - a E sin²(theta)) + (r² + a²) P / delta) / sigma
+	 * @param mobile
+	 * @param r
+	 * @param theta
+	 * @returns dt/dtau
+	 */
+	protected KM_dt(mobile: Mobile, r: number, theta: number): number
+	{
+		let a = this.central_body.a;
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+
+		return (a * (mobile.L - a * mobile.E * Math.sin(theta)**2)
+		+ (r**2 + a**2) * P / this.KM_delta_r(mobile, r)) / this.KM_sigma(r, theta);
+	}
+
+
+	/**
+	 * Kerr metric (KM)
+	 * 
+	 * dphi/dtau = c (L / sin²(theta) - a E + a P / delta) / sigma
+	 * @param mobile
+	 * @param r
+	 * @param theta
+	 * @returns dphi/dtau
+	 */
+	protected KM_dphi(mobile: Mobile, r: number, theta: number): number
+	{
+		let a = this.central_body.a;
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+
+		return this.c * (mobile.L / Math.sin(theta)**2 - a * mobile.E
+		+ a * P / this.KM_delta_r(mobile, r)) / this.KM_sigma(r, theta);
+	}
+
+
+	/**
+	 * Kerr metric outside the equatorial plane (KM_3D)
+	 * 
+	 * Derivatives of (r, U_r, theta, U_theta, phi) with respect to tau for an
+	 * astronaut (A), lambda for a photon. The second derivatives come from
+	 * d(sigma dr/dtau)/dtau = c² R'(r) / (2 sigma) and the same relation for theta,
+	 * which have no sign ambiguity at the turning points.
+	 * 
+	 * This method is to be used with Runge-Kutta.
+	 * @param mobile
+	 * @param t
+	 * @param y [r, U_r, theta, U_theta, phi]
+	 */
+	protected KM_3D_trajectory_A(mobile: any, t: number, y: number[]): number[]
+	{
+		let [r, U_r, theta, U_theta] = y;
+		let a = this.central_body.a;
+		let sigma = this.KM_sigma(r, theta);
+		let d_sigma = 2*r * U_r - a**2 * Math.sin(2*theta) * U_theta;
+
+		return [
+			U_r,
+			(this.c**2 * this.KM_radial_function(mobile, r)[1] / (2 * sigma) - d_sigma * U_r) / sigma,
+			U_theta,
+			(this.c**2 * this.KM_polar_function(mobile, theta)[1] / (2 * sigma) - d_sigma * U_theta) / sigma,
+			this.KM_dphi(mobile, r, theta)
+		];
+	}
+
+
+	/**
+	 * Kerr metric outside the equatorial plane (KM_3D)
+	 * 
+	 * Derivatives of (r, U_r, theta, U_theta, phi) with respect to t for a
+	 * distant observer (DO). U_r and U_theta are still derivatives with
+	 * respect to tau, the ones of KM_3D_trajectory_A divided by dt/dtau.
+	 * 
+	 * This method is to be used with Runge-Kutta.
+	 * @param mobile
+	 * @param t
+	 * @param y [r, U_r, theta, U_theta, phi]
+	 */
+	protected KM_3D_trajectory_DO(mobile: any, t: number, y: number[]): number[]
+	{
+		let dt = this.KM_dt(mobile, y[0], y[2]);
+
+		return this.KM_3D_trajectory_A(mobile, t, y).map(derivative => derivative / dt);
 	}
 
 
@@ -351,19 +859,25 @@ export class Kerr extends Simulation_trajectory
 	/**
 	 * Kerr metric for a massive particle (KM_MP)
 	 * 
-	 * Integration constants in a list of two elements.
+	 * Integration constants E, L and the Carter constant Q, computed from
+	 * the momentum measured by the local observer (see mobile_initialization).
+	 * Q = 0 in the equatorial plane.
 	 * @param mobile
 	 */
 	protected KM_MP_integration_constants(mobile: Mobile): void
 	{
-		mobile.E = Math.sqrt(mobile.U_r**2 * (mobile.r - this.central_body.R_s)
-		* mobile.r**3 + c**2 * mobile.r * (mobile.r - this.central_body.R_s)
-		* this.KM_delta_r(mobile) + this.KM_delta_r(mobile)**2 * mobile.U_phi**2)
-		/ (c**2 * mobile.r**2 * this.KM_delta_r(mobile));
+		let a = this.central_body.a;
+		let sigma = this.KM_sigma(mobile.r, mobile.theta);
+		let observer = this.KM_local_observer(mobile.r, mobile.theta);
 
-		mobile.L = 1 / (c * (mobile.r - this.central_body.R_s))
-		* (this.KM_delta_r(mobile) * mobile.U_phi - this.central_body.R_s
-		* this.central_body.a * c * mobile.E);
+		// gamma v / c in the frame of the local observer
+		let momentum = Math.sqrt(mobile.U_r**2 * sigma / this.KM_delta_r(mobile)
+		+ mobile.U_theta**2 * sigma + mobile.U_phi**2) / this.c;
+
+		mobile.L = observer.varpi * mobile.U_phi / this.c;
+		mobile.E = observer.alpha * Math.sqrt(1 + momentum**2) + observer.omega * mobile.L;
+		mobile.Q = (sigma * mobile.U_theta / this.c)**2 + Math.cos(mobile.theta)**2
+		* (a**2 * (1 - mobile.E**2) + (mobile.L / Math.sin(mobile.theta))**2);
     }
 
 
@@ -379,7 +893,7 @@ export class Kerr extends Simulation_trajectory
 		return 1 - this.central_body.R_s / mobile.r
 		- (this.central_body.a**2 * (mobile.E**2 - 1) - mobile.L**2) / mobile.r**2
 		- this.central_body.R_s * Math.pow(mobile.L - this.central_body.a * mobile.E, 2)
-		/ mobile.r**3;
+		/ mobile.r**3 + this.KM_delta_r(mobile) * mobile.Q / mobile.r**4;
 	}
 
 
@@ -397,14 +911,15 @@ export class Kerr extends Simulation_trajectory
 
 		let V_a = 1 - R_s / mobile.r
 		- (a**2 * (mobile.E**2 - 1) - mobile.L**2) / mobile.r**2
-		- R_s * Math.pow(mobile.L - a * mobile.E, 2) / mobile.r**3;
+		- R_s * Math.pow(mobile.L - a * mobile.E, 2) / mobile.r**3
+		+ this.KM_delta_r(mobile) * mobile.Q / mobile.r**4;
 
-		let X = (c**2 * mobile.E**2 - V_a) * this.KM_delta_r(mobile)**2;
+		let X = (this.c**2 * mobile.E**2 - V_a) * this.KM_delta_r(mobile)**2;
 
 		let Y = (mobile.r**2 + a**2 + R_s * a**2 / mobile.r)
 		* mobile.E - R_s * a * mobile.L / mobile.r;
 
-		return mobile.E**2 - X / (Y**2 * c**2);
+		return mobile.E**2 - X / (Y**2 * this.c**2);
 	}
 
 
@@ -421,7 +936,7 @@ export class Kerr extends Simulation_trajectory
 	 */
 	protected KM_MP_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
 	{
-		return c**2 / (2 * r**4) * (this.central_body.R_s * r**2 + 2*r
+		return -(this.c**2) / (2 * r**4) * (this.central_body.R_s * r**2 + 2*r
 			* (this.central_body.a**2 * (mobile.E**2 - 1) - mobile.L**2)
 			+ 3*this.central_body.R_s * (mobile.L - this.central_body.a * mobile.E)**2);
 	}
@@ -452,11 +967,11 @@ export class Kerr extends Simulation_trajectory
 
 		let Z = 2*(mobile.E**2 - 1 + R_s / r + X / r**2 + Y / r**3);
 
-		return c**2 * this.KM_delta_r(mobile) / (2 * W**2)
-		* ((-R_s / r**2 - 2*X / r**3 - 3*Y / r**4) * this.KM_delta_r(mobile)
+		return this.c**2 * this.KM_delta_r(mobile, r) / (2 * W**2)
+		* ((-R_s / r**2 - 2*X / r**3 - 3*Y / r**4) * this.KM_delta_r(mobile, r)
 		+ Z * (2*r - R_s)
 		- Z * ((2*r - R_s * a**2 / r**2) * mobile.E + R_s * a * mobile.L / r**2)
-		* this.KM_delta_r(mobile) / W);
+		* this.KM_delta_r(mobile, r) / W);
 	}
 
 
@@ -466,17 +981,23 @@ export class Kerr extends Simulation_trajectory
 	/**
 	 * Kerr metric for a photon (KM_PH)
 	 * 
-	 * Integration constants in a list of two elements.
+	 * Integration constants E, L and the Carter constant Q, computed from
+	 * the momentum measured by the local observer (see mobile_initialization).
 	 * @param mobile
 	 */
 	protected KM_PH_integration_constants(mobile: Mobile): void
 	{
-		mobile.E = Math.sqrt(mobile.U_r**2 * (mobile.r - this.central_body.R_s)
-		* mobile.r**3 + this.KM_delta_r(mobile)**2 * mobile.U_phi**2)
-		/ (c**2 * mobile.r**2 * this.KM_delta_r(mobile));
+		let a = this.central_body.a;
+		let sigma = this.KM_sigma(mobile.r, mobile.theta);
+		let observer = this.KM_local_observer(mobile.r, mobile.theta);
+
+		let momentum = Math.sqrt(mobile.U_r**2 * sigma / this.KM_delta_r(mobile)
+		+ mobile.U_theta**2 * sigma + mobile.U_phi**2) / this.c;
 
-		mobile.L = 1 / (c * (mobile.r - this.central_body.R_s)) * (this.KM_delta_r(mobile)
-		* mobile.U_phi - this.central_body.R_s * this.central_body.a * c * mobile.E);
+		mobile.L = observer.varpi * mobile.U_phi / this.c;
+		mobile.E = observer.alpha * momentum + observer.omega * mobile.L;
+		mobile.Q = (sigma * mobile.U_theta / this.c)**2 + Math.cos(mobile.theta)**2
+		* ((mobile.L / Math.sin(mobile.theta))**2 - a**2 * mobile.E**2);
 	}
 
 
@@ -491,7 +1012,8 @@ export class Kerr extends Simulation_trajectory
 	{
 		return -(this.central_body.a**2 * mobile.E**2 - mobile.L**2)
 		/ mobile.r**2 - this.central_body.R_s
-		* Math.pow(mobile.L - this.central_body.a * mobile.E, 2) / mobile.r**3;
+		* Math.pow(mobile.L - this.central_body.a * mobile.E, 2) / mobile.r**3
+		+ this.KM_delta_r(mobile) * mobile.Q / mobile.r**4;
 	}
 
 
@@ -508,14 +1030,15 @@ export class Kerr extends Simulation_trajectory
 		let a = this.central_body.a;
 
 		let V_a = -(a**2 * mobile.E**2 - mobile.L**2) / mobile.r**2
-		- R_s * Math.pow(mobile.L - a * mobile.E, 2) / mobile.r**3;
+		- R_s * Math.pow(mobile.L - a * mobile.E, 2) / mobile.r**3
+		+ this.KM_delta_r(mobile) * mobile.Q / mobile.r**4;
 
-		let X = (c**2 * mobile.E**2 - V_a) * this.KM_delta_r(mobile)**2;
+		let X = (this.c**2 * mobile.E**2 - V_a) * this.KM_delta_r(mobile)**2;
 
 		let Y = (mobile.r**2 + a**2 + R_s * a**2 / mobile.r)
 		* mobile.E - R_s * a * mobile.L / mobile.r;
 
-		return mobile.E**2 - X / (Y**2 * c**2);
+		return mobile.E**2 - X / (Y**2 * this.c**2);
 	}
 
 	
@@ -532,7 +1055,7 @@ export class Kerr extends Simulation_trajectory
 	 */
 	protected KM_PH_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
 	{
-		return -(c**2 / (2 * r**4))
+		return -(this.c**2 / (2 * r**4))
 		* (2*r * (this.central_body.a**2 * mobile.E**2 - mobile.L**2)
 		+ 3*this.central_body.R_s * (mobile.L - this.central_body.a * mobile.E)**2);
 	}
@@ -563,9 +1086,9 @@ export class Kerr extends Simulation_trajectory
 
 		let Z = 2*(mobile.E**2 + X / r**2 + Y / r**3);
 
-		return c**2 * this.KM_delta_r(mobile) / (2 * W**2) * ((-2*X / r**3 - 3*Y / r**4)
-		* this.KM_delta_r(mobile) + Z * (2*r - R_s) - Z * ((2*r - R_s * a**2 / r**2)
-		* mobile.E + R_s * a * mobile.L / r**2) * this.KM_delta_r(mobile) / W);
+		return this.c**2 * this.KM_delta_r(mobile, r) / (2 * W**2) * ((-2*X / r**3 - 3*Y / r**4)
+		* this.KM_delta_r(mobile, r) + Z * (2*r - R_s) - Z * ((2*r - R_s * a**2 / r**2)
+		* mobile.E + R_s * a * mobile.L / r**2) * this.KM_delta_r(mobile, r) / W);
 	}
 
 
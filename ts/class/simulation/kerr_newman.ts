@@ -0,0 +1,641 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory } from "./simulation_trajectory.js";
+
+
+/**
+ * @class Kerr_Newman
+ *
+ * Inherited from Simulation_trajectory class.
+ * This class will implement the different equations for the Kerr-Newman metric,
+ * the metric of a central body with angular momentum and charge, in the
+ * equatorial plane. The mobiles are neutral test particles.
+ * Without charge the equations are the ones of the Kerr class, and without
+ * angular momentum the ones of the Reissner_Nordstrom class (Schwarzschild
+ * if the charge is also null).
+ * Note: This code uses acronyms to differentiate between the different categories
+ * covered by the theory (example: KNM_PH = Kerr-Newman Metric for a Photon).
+ *
+ * @param id
+ * @param central_body
+ * @param mobile_list
+ * @param c
+ * @param G
+ *
+ * @method add_mobile
+ * @method mobile_initialization
+ * @method mobile_dtau
+ * @method mobile_trajectory
+ * @method mobile_new_position
+ * @method mobile_velocity
+ * @method mobile_clocks
+ * @method mobile_normalization
+ * @method mobile_potential
+ * @method isco_radius
+ * @method photon_sphere_radius
+ * @method KNM_delta_r
+ * @method KNM_local_observer
+ * @method KNM_radial_function
+ * @method KNM_dt
+ * @method KNM_dphi
+ * @method KNM_MP_integration_constants
+ * @method KNM_MP_potential_A
+ * @method KNM_MP_trajectory_A
+ * @method KNM_MP_trajectory_DO
+ * @method KNM_PH_integration_constants
+ * @method KNM_PH_potential_A
+ * @method KNM_PH_trajectory_A
+ * @method KNM_PH_trajectory_DO
+ */
+
+export class Kerr_Newman extends Simulation_trajectory
+{
+
+	//-------------------- Constructor ---------------------
+
+
+	constructor(
+		id: string,
+		collidable: boolean,
+		mass: number,
+		radius: number,
+		angular_m: number,
+		charge: number,
+		geometric_units: boolean = false
+	) {
+		super(id, collidable, mass, radius, angular_m, charge, geometric_units);
+	}
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Method that loops over the mobile list and determines the
+	 * correct integration constants before storing them in each
+	 * mobile as a property. It also takes the user input in terms
+	 * of physical velocity and calculate the corresponding U_r and U_phi.
+	 * As for the Kerr metric, the physical velocity is the one measured by
+	 * the local observer with zero angular momentum (ZAMO), U_r = dr/dtau
+	 * and U_phi = gamma v_phi.
+	 * For a distant observer, U_r is then converted from dr/dtau to dr/dt.
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public mobile_initialization(reference_frame: "A" | "DO" = "A"): void
+	{
+		this.mobile_list.forEach(mobile =>
+		{
+			let observer = this.KNM_local_observer(mobile.r);
+			let factor: number;
+
+			if (!mobile.is_photon)
+			{
+				factor = 1 / Math.sqrt(1 - (mobile.v_r / this.c)**2);
+			}
+			else
+			{
+				factor = 1 / observer.alpha;
+			}
+
+			mobile.U_r = factor * mobile.v_r * Math.cos(mobile.v_alpha)
+			* Math.sqrt(this.KNM_delta_r(mobile)) / mobile.r;
+			mobile.U_phi = factor * mobile.v_r * Math.sin(mobile.v_alpha);
+
+			if (!mobile.is_photon)
+			{
+				this.KNM_MP_integration_constants(mobile);
+			}
+			else
+			{
+				this.KNM_PH_integration_constants(mobile);
+			}
+
+			if (this.mobile_frame(mobile, reference_frame) === "DO")
+			{
+				mobile.U_r /= this.KNM_dt(mobile, mobile.r);
+			}
+		});
+	}
+
+
+	/**
+	 * Determines the right dtau for each mobile and updates the parameter,
+	 * see Simulation_trajectory.step_size.
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public mobile_dtau(reference_frame: "A" | "DO"): void
+	{
+		this.mobile_list.forEach(mobile =>
+		{
+			mobile.dtau = this.step_size(mobile, reference_frame);
+		});
+	}
+
+
+	/**
+	 * Applies the integration method selected by integrator (RK4, RK45 or GL4)
+	 * to the relevant second derivative expression for the current simulation.
+	 * @param mobile
+	 * @param step dtau
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 *
+	 * @returns [tau, r, U_r]
+	 */
+	public mobile_trajectory(mobile: Mobile, step: number, reference_frame: "A" | "DO"): number[]
+	{
+		let dtau = step;
+		let tau: number = 0;
+		let r = mobile.r;
+		let U_r = mobile.U_r;
+		let trajectory: (mobile: any, t: number, r: number, U_r: number) => number;
+
+		if (!mobile.is_photon && reference_frame === "A")
+		{
+			trajectory = this.KNM_MP_trajectory_A;
+		}
+		else if (!mobile.is_photon && reference_frame === "DO")
+		{
+			trajectory = this.KNM_MP_trajectory_DO;
+		}
+		else if (mobile.is_photon && reference_frame === "A")
+		{
+			trajectory = this.KNM_PH_trajectory_A;
+		}
+		else
+		{
+			trajectory = this.KNM_PH_trajectory_DO;
+		}
+
+		return this.solve_equation_order2(mobile, dtau, tau, r, U_r, trajectory);
+	}
+
+
+	/**
+	 * Updates a mobile with its new position
+	 * @param mobile
+	 * @param step dtau
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public mobile_new_position(mobile: Mobile, step: number, reference_frame: "A" | "DO"): void
+	{
+		let dtau = step;
+		let runge_kutta_result = this.mobile_trajectory(mobile, dtau, reference_frame);
+		mobile.r = runge_kutta_result[1];
+		mobile.U_r = runge_kutta_result[2];
+
+		if (reference_frame === "A")
+		{
+			mobile.phi += this.KNM_dphi(mobile, mobile.r) * dtau;
+		}
+		else
+		{
+			mobile.phi += this.KNM_dphi(mobile, mobile.r) * dtau
+			/ this.KNM_dt(mobile, mobile.r);
+		}
+
+		this.monitor_conservation(mobile, reference_frame);
+	}
+
+
+	/**
+	 * Update the physical velocity of a mobile, measured by the local
+	 * observer with zero angular momentum (ZAMO).
+	 * @param mobile
+	 */
+	public mobile_velocity(mobile: Mobile)
+	{
+		let observer = this.KNM_local_observer(mobile.r);
+
+		// Lorentz factor for a massive particle, local energy for a photon
+		let gamma = (mobile.E - observer.omega * mobile.L) / observer.alpha;
+		let radial = Math.max(this.KNM_radial_function(mobile, mobile.r)[0], 0);
+
+		mobile.v_phi = this.c * mobile.L / (observer.varpi * gamma);
+		mobile.v_r = this.c * Math.sqrt(radial / this.KNM_delta_r(mobile)) / (mobile.r * gamma);
+		mobile.v_norm = (mobile.v_r**2 + mobile.v_phi**2)**.5;
+	}
+
+
+	/**
+	 * Updates time parameters of a mobile
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public mobile_clocks(mobile: Mobile, reference_frame: "A" | "DO")
+	{
+		let R_hp = this.central_body.R_hp;
+
+		if (reference_frame === "A")
+		{
+			if (!mobile.is_photon)
+			{
+				mobile.clock_a += mobile.dtau;
+			}
+			if (mobile.r > R_hp)
+			{
+				mobile.clock_do += mobile.dtau * this.KNM_dt(mobile, mobile.r);
+			}
+			else
+			{
+				mobile.clock_do = Infinity;
+			}
+		}
+		else
+		{
+			mobile.clock_do += mobile.dtau;
+
+			if (!mobile.is_photon && mobile.r >= R_hp)
+			{
+				mobile.clock_a += mobile.dtau / this.KNM_dt(mobile, mobile.r);
+			}
+		}
+	}
+
+
+	/**
+	 * Relative error on the normalization condition, used by the conservation
+	 * monitor. In the DO frame, U_r = dr/dt is converted to dr/dtau with dt/dtau.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @returns ((dr/dtau)² / c² + V_A - E²) / E²
+	 */
+	public mobile_normalization(mobile: Mobile, reference_frame: "A" | "DO"): number
+	{
+		let U_r = mobile.U_r;
+
+		if (reference_frame === "DO")
+		{
+			U_r *= this.KNM_dt(mobile, mobile.r);
+		}
+
+		return ((U_r / this.c)**2 + this.mobile_potential(mobile) - mobile.E**2) / mobile.E**2;
+	}
+
+
+	/**
+	 * Potential for an astronaut (A) divided by c² at the current position
+	 * of the mobile.
+	 * @param mobile
+	 * @returns Potential
+	 */
+	public mobile_potential(mobile: Mobile): number
+	{
+		if (!mobile.is_photon)
+		{
+			return this.KNM_MP_potential_A(mobile);
+		}
+		return this.KNM_PH_potential_A(mobile);
+	}
+
+
+	/**
+	 * Radius of the innermost stable circular orbit in the equatorial plane,
+	 * largest root of M r (6 M r - r² - 9 Q² + 3 a²) + 4 Q² (Q² - a²)
+	 * ∓ 8 a (M r - Q²)^(3/2) = 0, with M = R_s/2 and Q = R_Q.
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 * @returns ISCO radius
+	 */
+	public isco_radius(prograde: boolean = true): number
+	{
+		let M = this.central_body.R_s / 2;
+		let a = Math.abs(this.central_body.a);
+		let Q = this.central_body.R_Q;
+		let sign = prograde ? -1 : 1;
+		let condition = (r: number) => M * r * (6 * M * r - r**2 - 9 * Q**2 + 3 * a**2)
+		+ 4 * Q**2 * (Q**2 - a**2) + sign * 8 * a * Math.pow(M * r - Q**2, 1.5);
+
+		return this.bisection(condition, this.photon_sphere_radius(prograde), 10 * M);
+	}
+
+
+	/**
+	 * Radius of the circular orbit of light in the equatorial plane,
+	 * largest root of r² - 3 M r + 2 Q² ± 2 a sqrt(M r - Q²) = 0.
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 * @returns photon orbit radius
+	 */
+	public photon_sphere_radius(prograde: boolean = true): number
+	{
+		let M = this.central_body.R_s / 2;
+		let a = Math.abs(this.central_body.a);
+		let Q = this.central_body.R_Q;
+		let sign = prograde ? 1 : -1;
+		let condition = (r: number) => -(r**2 - 3 * M * r + 2 * Q**2
+		+ sign * 2 * a * Math.sqrt(M * r - Q**2));
+
+		return this.bisection(condition, this.central_body.R_hp, 4 * M);
+	}
+
+
+	/**
+	 * Finds the root of a function between r_min, where it is positive,
+	 * and r_max, where it is negative.
+	 * @param funct
+	 * @param r_min
+	 * @param r_max
+	 * @returns root
+	 */
+	private bisection(funct: (r: number) => number, r_min: number, r_max: number): number
+	{
+		for (let i = 0; i < 60; i++)
+		{
+			let r = (r_min + r_max) / 2;
+
+			if (funct(r) > 0) { r_min = r; }
+			else { r_max = r; }
+		}
+		return (r_min + r_max) / 2;
+	}
+
+
+	/*
+	 * The spacial and temporal coordinates are (r, theta, phi, t)
+	 * All simulations take place on the theta=pi/2 plane
+	 * U_r is dr and U_phi is gamma v_phi
+	 * R_s Schwarzschild radius, a = J/cM and R_Q the charge length.
+	 * delta = r² - R_s r + a² + R_Q², its roots are R_h+ and R_h-.
+	 * L and E are two Integration constants determined with the
+	 * initial conditions. L is a length and E is adimentional.
+	 * The "trajectory" functions are to be called by the Runge-Kutta algorithm.
+	 * The suffix A or DO refer to Astronaut or Distant Oberver.
+	 */
+
+
+	/**
+	 * Kerr-Newman metric (KNM)
+	 *
+	 * Defines a new variable delta(r)
+	 * @param mobile
+	 * @param r radial coordinate, the one of the mobile by default
+	 * @returns delta(r)
+	 */
+	protected KNM_delta_r(mobile: Mobile, r: number = mobile.r): number
+	{
+		let a = this.central_body.a;
+		let R_Q = this.central_body.R_Q;
+
+		return r**2 - this.central_body.R_s * r + a**2 + R_Q**2;
+	}
+
+
+	/**
+	 * Kerr-Newman metric (KNM)
+	 *
+	 * Local observer with zero angular momentum (ZAMO) in the equatorial plane.
+	 * @param r
+	 * @returns alpha lapse function, omega angular velocity of the observer
+	 * divided by c (1/m) and varpi its distance to the rotation axis
+	 */
+	protected KNM_local_observer(r: number)
+	{
+		let R_s = this.central_body.R_s;
+		let a = this.central_body.a;
+		let R_Q = this.central_body.R_Q;
+		let delta = r**2 - R_s * r + a**2 + R_Q**2;
+		let A = (r**2 + a**2)**2 - a**2 * delta;
+
+		return {
+			alpha: r * Math.sqrt(delta / A),
+			omega: a * (R_s * r - R_Q**2) / A,
+			varpi: Math.sqrt(A) / r
+		};
+	}
+
+
+	/**
+	 * Kerr-Newman metric (KNM)
+	 *
+	 * Radial function R(r) = P² - delta (mu² r² + (L - a E)²),
+	 * with P = E (r² + a²) - a L and mu = 1 (massive particle) or 0 (photon).
+	 * The radial motion follows (r² dr/dtau)² = c² R(r).
+	 * @param mobile
+	 * @param r
+	 * @returns [R(r), dR/dr]
+	 */
+	protected KNM_radial_function(mobile: Mobile, r: number): number[]
+	{
+		let a = this.central_body.a;
+		let mu = mobile.is_photon ? 0 : 1;
+		let delta = this.KNM_delta_r(mobile, r);
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+		let K = mu * r**2 + (mobile.L - a * mobile.E)**2;
+
+		return [
+			P**2 - delta * K,
+			4 * mobile.E * r * P - (2*r - this.central_body.R_s) * K - 2 * mu * r * delta
+		];
+	}
+
+
+	/**
+	 * Kerr-Newman metric (KNM)
+	 *
+	 * dt/dtau = (a (L - a E) + (r² + a²) P / delta) / r²
+	 * @param mobile
+	 * @param r
+	 * @returns dt/dtau
+	 */
+	protected KNM_dt(mobile: Mobile, r: number): number
+	{
+		let a = this.central_body.a;
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+
+		return (a * (mobile.L - a * mobile.E)
+		+ (r**2 + a**2) * P / this.KNM_delta_r(mobile, r)) / r**2;
+	}
+
+
+	/**
+	 * Kerr-Newman metric (KNM)
+	 *
+	 * dphi/dtau = c (L - a E + a P / delta) / r²
+	 * @param mobile
+	 * @param r
+	 * @returns dphi/dtau
+	 */
+	protected KNM_dphi(mobile: Mobile, r: number): number
+	{
+		let a = this.central_body.a;
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+
+		return this.c * (mobile.L - a * mobile.E + a * P / this.KNM_delta_r(mobile, r)) / r**2;
+	}
+
+
+	//	1) For a massive particle (KNM_MP)
+
+
+	/**
+	 * Kerr-Newman metric for a massive particle (KNM_MP)
+	 *
+	 * Integration constants E and L, computed from the momentum measured
+	 * by the local observer (see mobile_initialization).
+	 * @param mobile
+	 */
+	protected KNM_MP_integration_constants(mobile: Mobile): void
+	{
+		let observer = this.KNM_local_observer(mobile.r);
+
+		// gamma v / c in the frame of the local observer
+		let momentum = Math.sqrt(mobile.U_r**2 * mobile.r**2 / this.KNM_delta_r(mobile)
+		+ mobile.U_phi**2) / this.c;
+
+		mobile.L = observer.varpi * mobile.U_phi / this.c;
+		mobile.E = observer.alpha * Math.sqrt(1 + momentum**2) + observer.omega * mobile.L;
+	}
+
+
+	/**
+	 * Kerr-Newman metric for a massive particle (KNM_MP)
+	 *
+	 * Potential for an astronaut (A) divided by c², E² - R(r) / r⁴
+	 * @param mobile
+	 * @result Potential
+	 */
+	protected KNM_MP_potential_A(mobile: Mobile): number
+	{
+		return mobile.E**2 - this.KNM_radial_function(mobile, mobile.r)[0] / mobile.r**4;
+	}
+
+
+	/**
+	 * Kerr-Newman metric for a massive particle (KNM_MP)
+	 *
+	 * Second derivative d²r/dtau² for an astronaut (A),
+	 * c²/2 d(R(r) / r⁴)/dr.
+	 *
+	 * This method is to be used with Runge-Kutta.
+	 * @param mobile
+	 * @param t
+	 * @param r
+	 * @param U_r
+	 */
+	protected KNM_MP_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
+	{
+		let radial = this.KNM_radial_function(mobile, r);
+
+		return this.c**2 / 2 * (radial[1] / r**4 - 4 * radial[0] / r**5);
+	}
+
+
+	/**
+	 * Kerr-Newman metric for a massive particle (KNM_MP)
+	 *
+	 * Second derivative d²r/dt² for a distant observer (DO)
+	 *
+	 * This method is to be used with Runge-Kutta.
+	 * @param mobile
+	 * @param t
+	 * @param r
+	 * @param U_r
+	 */
+	protected KNM_MP_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
+	{
+		return this.KNM_trajectory_DO(mobile, r, this.KNM_MP_trajectory_A(mobile, t, r, U_r));
+	}
+
+
+	//	2) For a photon (KNM_PH)
+
+
+	/**
+	 * Kerr-Newman metric for a photon (KNM_PH)
+	 *
+	 * Integration constants E and L, computed from the momentum measured
+	 * by the local observer (see mobile_initialization).
+	 * @param mobile
+	 */
+	protected KNM_PH_integration_constants(mobile: Mobile): void
+	{
+		let observer = this.KNM_local_observer(mobile.r);
+
+		let momentum = Math.sqrt(mobile.U_r**2 * mobile.r**2 / this.KNM_delta_r(mobile)
+		+ mobile.U_phi**2) / this.c;
+
+		mobile.L = observer.varpi * mobile.U_phi / this.c;
+		mobile.E = observer.alpha * momentum + observer.omega * mobile.L;
+	}
+
+
+	/**
+	 * Kerr-Newman metric for a photon (KNM_PH)
+	 *
+	 * Potential for an astronaut (A) divided by c², E² - R(r) / r⁴
+	 * @param mobile
+	 * @result potential
+	 */
+	protected KNM_PH_potential_A(mobile: Mobile): number
+	{
+		return mobile.E**2 - this.KNM_radial_function(mobile, mobile.r)[0] / mobile.r**4;
+	}
+
+
+	/**
+	 * Kerr-Newman metric for a photon (KNM_PH)
+	 *
+	 * Second derivative d²r/dlambda² for an astronaut (A),
+	 * c²/2 d(R(r) / r⁴)/dr.
+	 *
+	 * This method is to be used with Runge-Kutta.
+	 * @param mobile
+	 * @param t
+	 * @param r
+	 * @param U_r
+	 */
+	protected KNM_PH_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
+	{
+		let radial = this.KNM_radial_function(mobile, r);
+
+		return this.c**2 / 2 * (radial[1] / r**4 - 4 * radial[0] / r**5);
+	}
+
+
+	/**
+	 * Kerr-Newman metric for a photon (KNM_PH)
+	 *
+	 * Second derivative d²r/dt² for a distant observer (DO)
+	 *
+	 * This method is to be used with Runge-Kutta.
+	 * @param mobile
+	 * @param t
+	 * @param r
+	 * @param U_r
+	 */
+	protected KNM_PH_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
+	{
+		return this.KNM_trajectory_DO(mobile, r, this.KNM_PH_trajectory_A(mobile, t, r, U_r));
+	}
+
+
+	/**
+	 * Kerr-Newman metric (KNM)
+	 *
+	 * Converts d²r/dtau² into d²r/dt² with T = dt/dtau:
+	 * d²r/dt² = (d²r/dtau² - (dr/dtau)² T'(r) / T) / T²,
+	 * where (dr/dtau)² = c² R(r) / r⁴.
+	 * @param mobile
+	 * @param r
+	 * @param d2r d²r/dtau²
+	 * @returns d²r/dt²
+	 */
+	private KNM_trajectory_DO(mobile: Mobile, r: number, d2r: number): number
+	{
+		let a = this.central_body.a;
+		let delta = this.KNM_delta_r(mobile, r);
+		let P = mobile.E * (r**2 + a**2) - a * mobile.L;
+
+		// T = N / (r² delta)
+		let N = a * (mobile.L - a * mobile.E) * delta + (r**2 + a**2) * P;
+		let dN = a * (mobile.L - a * mobile.E) * (2*r - this.central_body.R_s)
+		+ 2*r * P + 2*r * (r**2 + a**2) * mobile.E;
+		let D = r**2 * delta;
+		let dD = 2*r * delta + r**2 * (2*r - this.central_body.R_s);
+
+		let T = N / D;
+		let dT = (dN * D - N * dD) / D**2;
+		let dr_2 = this.c**2 * this.KNM_radial_function(mobile, r)[0] / r**4;
+
+		return (d2r - dr_2 * dT / T) / T**2;
+	}
+
+
+}
@@ -0,0 +1,275 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory, Trajectory_event_type } from "./simulation_trajectory.js";
+
+
+/**
+ * @class Newton
+ *
+ * Inherited from Simulation_trajectory class.
+ * This class will implement Newtonian gravity with the same central body and
+ * mobiles as the relativistic simulations, to compare them with Schwarzschild.
+ * The time is absolute, so the astronaut (A) and distant observer (DO) frames
+ * give the same results and clock_a = clock_do for a massive particle.
+ * Photons are corpuscles moving at c, the Newtonian deflection of light
+ * is half of the relativistic one.
+ *
+ * The equations are written like the Schwarzschild ones, with
+ * (U_r / c)² = E² - V and V = 1 - R_s/r + (L/r)²: the Schwarzschild
+ * potential without its -R_s L² / r³ term.
+ * E² = 1 + 2 e / c², e being the mechanical energy per unit of mass.
+ *
+ * @param id
+ * @param central_body
+ * @param mobile_list
+ * @param c
+ * @param G
+ *
+ * @method add_mobile
+ * @method mobile_initialization
+ * @method mobile_dtau
+ * @method mobile_trajectory
+ * @method mobile_new_position
+ * @method mobile_velocity
+ * @method mobile_clocks
+ * @method mobile_normalization
+ * @method mobile_potential
+ * @method isco_radius
+ * @method photon_sphere_radius
+ * @method event_radii
+ * @method NG_integration_constants
+ * @method NG_potential
+ * @method NG_trajectory
+ */
+
+export class Newton extends Simulation_trajectory
+{
+
+    //-------------------- Constructor ---------------------
+
+
+    constructor(
+        id: string,
+        collidable: boolean,
+        mass: number,
+        radius: number,
+        geometric_units: boolean = false
+    ) {
+        super(id, collidable, mass, radius, 0, 0, geometric_units);
+    }
+
+
+    //---------------------- Methods -----------------------
+
+
+    /**
+     * Method that loops over the mobile list and determines the
+     * correct integration constants before storing them in each
+     * mobile as a property. U_r and U_phi are the radial and tangential
+     * components of the velocity.
+     * @param reference_frame Astronaut (A), Distant Observer (DO), no difference
+     */
+    public mobile_initialization(reference_frame: "A" | "DO" = "A"): void
+    {
+        this.mobile_list.forEach(mobile =>
+        {
+            mobile.U_r = Math.cos(mobile.v_alpha) * mobile.v_r;
+            mobile.U_phi = Math.sin(mobile.v_alpha) * mobile.v_r;
+
+            this.NG_integration_constants(mobile);
+        });
+    }
+
+
+    /**
+     * Determines the right dtau for each mobile and updates the parameter,
+     * see Simulation_trajectory.step_size.
+     * @param reference_frame Astronaut (A), Distant Observer (DO), no difference
+     */
+    public mobile_dtau(reference_frame: "A" | "DO"): void
+    {
+        this.mobile_list.forEach(mobile =>
+        {
+            mobile.dtau = this.step_size(mobile, reference_frame);
+        });
+    }
+
+
+    /**
+     * Applies the integration method selected by integrator (RK4, RK45 or GL4)
+     * to the second derivative d²r/dt².
+     * @param mobile
+     * @param step dt
+     * @param reference_frame Astronaut (A), Distant Observer (DO), no difference
+     *
+     * @returns [t, r, U_r]
+     */
+    public mobile_trajectory(mobile: Mobile, step: number, reference_frame: "A" | "DO"): number[]
+    {
+        let tau: number = 0;
+
+        return this.solve_equation_order2(
+            mobile,
+            step,
+            tau,
+            mobile.r,
+            mobile.U_r,
+            this.NG_trajectory
+        );
+    }
+
+
+    /**
+     * Updates a mobile with its new position
+     * @param mobile
+     * @param step dt
+     * @param reference_frame Astronaut (A), Distant Observer (DO), no difference
+     */
+    public mobile_new_position(mobile: Mobile, step: number, reference_frame: "A" | "DO"): void
+    {
+        let runge_kutta_result = this.mobile_trajectory(mobile, step, reference_frame);
+        mobile.r = runge_kutta_result[1];
+        mobile.U_r = runge_kutta_result[2];
+        mobile.phi += this.c * mobile.L * step / mobile.r**2;
+
+        this.monitor_conservation(mobile, reference_frame);
+    }
+
+
+    /**
+     * Updates the physical velocity of a mobile
+     * @param mobile
+     */
+    public mobile_velocity(mobile: Mobile)
+    {
+        mobile.v_phi = this.c * mobile.L / mobile.r;
+        mobile.v_r = this.c * Math.abs(mobile.E**2 - this.NG_potential(mobile))**.5;
+        mobile.v_norm = (mobile.v_r**2 + mobile.v_phi**2)**.5;
+    }
+
+
+    /**
+     * Updates time parameters of a mobile, the time is the same in both frames.
+     * @param mobile
+     * @param reference_frame Astronaut (A), Distant Observer (DO), no difference
+     */
+    public mobile_clocks(mobile: Mobile, reference_frame: "A" | "DO")
+    {
+        if (!mobile.is_photon)
+        {
+            mobile.clock_a += mobile.dtau;
+        }
+        mobile.clock_do += mobile.dtau;
+    }
+
+
+    /**
+     * Relative error on the conservation of the energy, used by the
+     * conservation monitor.
+     * @param mobile
+     * @param reference_frame Astronaut (A), Distant Observer (DO), no difference
+     * @returns ((U_r / c)² + V - E²) / E²
+     */
+    public mobile_normalization(mobile: Mobile, reference_frame: "A" | "DO"): number
+    {
+        return ((mobile.U_r / this.c)**2 + this.NG_potential(mobile) - mobile.E**2) / mobile.E**2;
+    }
+
+
+    /**
+     * Potential divided by c² at the current position of the mobile.
+     * @param mobile
+     * @returns Potential
+     */
+    public mobile_potential(mobile: Mobile): number
+    {
+        return this.NG_potential(mobile);
+    }
+
+
+    /**
+     * All the circular orbits are stable in Newtonian gravity.
+     * @returns 0
+     */
+    public isco_radius(): number
+    {
+        return 0;
+    }
+
+
+    /**
+     * Radius of the circular orbit at the speed of light, R_s/2.
+     * @returns circular orbit radius of a photon
+     */
+    public photon_sphere_radius(): number
+    {
+        return this.central_body.R_s / 2;
+    }
+
+
+    /**
+     * There is no horizon in Newtonian gravity, only the surface and the
+     * center of the central body remain.
+     * @returns type and radius of each event
+     */
+    protected event_radii(): { type: Trajectory_event_type, r: number }[]
+    {
+        return super.event_radii().filter(radius =>
+            radius.type !== "horizon" && radius.type !== "inner_horizon"
+        );
+    }
+
+
+    /*
+     * Newtonian gravity (NG)
+     * All simulations take place on the theta=pi/2 plane
+     * U_r is dr/dt and U_phi is r dphi/dt
+     * L = r U_phi / c is a length and E is adimentional.
+     * The "trajectory" function is to be called by the Runge-Kutta algorithm.
+     */
+
+
+    /**
+     * Newtonian gravity (NG)
+     *
+     * Calculate the integration constants for a mobile in the current
+     * simulation and store the value as a mobile property.
+     * @param mobile
+     */
+    protected NG_integration_constants(mobile: Mobile): void
+    {
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = Math.sqrt(Math.pow(mobile.U_r / this.c, 2) + this.NG_potential(mobile));
+    }
+
+
+    /**
+     * Newtonian gravity (NG)
+     *
+     * Potential divided by c²
+     * @param mobile
+     * @returns Potential
+     */
+    protected NG_potential(mobile: Mobile): number
+    {
+        return 1 - this.central_body.R_s / mobile.r + (mobile.L / mobile.r)**2;
+    }
+
+
+    /**
+     * Newtonian gravity (NG)
+     *
+     * Second derivative d²r/dt² = -GM/r² + (c L)² / r³
+     *
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected NG_trajectory(mobile: any, t: number, r: number, U_r: number): number
+    {
+        return this.c**2 / (2 * r**3) * (2 * mobile.L**2 - this.central_body.R_s * r);
+    }
+
+
+}
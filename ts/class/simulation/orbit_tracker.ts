@@ -0,0 +1,182 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory } from "./simulation_trajectory.js";
+
+
+/**
+ * An apsis (periapsis or apoapsis) passage, interpolated inside the step
+ * where U_r changes sign.
+ */
+export interface Apsis
+{
+	r: number;
+	phi: number;
+	clock_a: number;
+	clock_do: number;
+}
+
+
+/**
+ * @class Orbit_tracker
+ *
+ * Detects the periapsis and apoapsis passages of the mobiles of a simulation
+ * and extracts their orbital elements. record has to be called after each
+ * step, once mobile_new_position and mobile_clocks have updated the mobile.
+ *
+ * The passage is where U_r = 0, U_r being taken linear over the step: phi and
+ * the clocks are linearly interpolated and r is the extremum of the parabola.
+ *
+ * @param simulation
+ *
+ * @method record
+ * @method periapsides
+ * @method apoapsides
+ * @method orbital_elements
+ */
+
+export class Orbit_tracker
+{
+
+	private _simulation: Simulation_trajectory;
+	// State of each mobile after the last recorded step
+	private _previous: Map<string, { r: number, phi: number, U_r: number,
+		clock_a: number, clock_do: number }>;
+	private _periapsides: Map<string, Apsis[]>;
+	private _apoapsides: Map<string, Apsis[]>;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(simulation: Simulation_trajectory)
+	{
+		this._simulation = simulation;
+		this._previous = new Map();
+		this._periapsides = new Map();
+		this._apoapsides = new Map();
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get simulation() { return this._simulation; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Compares the mobile to its state at the previous call and stores the
+	 * apsis passage if U_r changed sign. The first call only stores the state.
+	 * mobile.dtau must be the step that has just been done.
+	 * @param mobile
+	 */
+	public record(mobile: Mobile): void
+	{
+		let previous = this._previous.get(mobile.id);
+
+		if (previous !== undefined && previous.U_r !== 0 && previous.U_r * mobile.U_r <= 0)
+		{
+			let fraction = previous.U_r / (previous.U_r - mobile.U_r);
+			let apsis: Apsis = {
+				r: previous.r + previous.U_r * fraction * mobile.dtau / 2,
+				phi: previous.phi + fraction * (mobile.phi - previous.phi),
+				clock_a: previous.clock_a + fraction * (mobile.clock_a - previous.clock_a),
+				clock_do: previous.clock_do + fraction * (mobile.clock_do - previous.clock_do)
+			};
+			let apsides = (previous.U_r < 0) ? this._periapsides : this._apoapsides;
+
+			if (!apsides.has(mobile.id)) { apsides.set(mobile.id, []); }
+			apsides.get(mobile.id).push(apsis);
+		}
+
+		this._previous.set(mobile.id, {
+			r: mobile.r,
+			phi: mobile.phi,
+			U_r: mobile.U_r,
+			clock_a: mobile.clock_a,
+			clock_do: mobile.clock_do
+		});
+	}
+
+
+	/**
+	 * @param mobile
+	 * @returns periapsis passages of the mobile since the first record
+	 */
+	public periapsides(mobile: Mobile): Apsis[]
+	{
+		return this._periapsides.get(mobile.id) || [];
+	}
+
+
+	/**
+	 * @param mobile
+	 * @returns apoapsis passages of the mobile since the first record
+	 */
+	public apoapsides(mobile: Mobile): Apsis[]
+	{
+		return this._apoapsides.get(mobile.id) || [];
+	}
+
+
+	/**
+	 * Orbital elements of a bound orbit from the recorded passages, r_p and r_a
+	 * being the mean periapsis and apoapsis radii:
+	 * e = (r_a - r_p) / (r_a + r_p), semi-latus rectum p = 2 r_a r_p / (r_a + r_p)
+	 * and semi-major axis a = (r_a + r_p) / 2.
+	 * The precession is the mean angle between two periapsis passages minus 2 pi,
+	 * compared with the weak field prediction 6 pi G M / (c² a (1 - e²)).
+	 * The periods are the mean time between two periapsis passages.
+	 * The values that cannot be computed yet are NaN.
+	 * @param mobile
+	 * @returns r_periapsis, r_apoapsis, eccentricity, semi_latus_rectum,
+	 * semi_major_axis, precession and predicted_precession (rad per orbit),
+	 * period_a (clock_a) and period_do (clock_do)
+	 */
+	public orbital_elements(mobile: Mobile)
+	{
+		let periapsides = this.periapsides(mobile);
+		let apoapsides = this.apoapsides(mobile);
+		let mean = (values: number[]) => (values.length === 0) ? NaN
+		: values.reduce((sum, value) => sum + value, 0) / values.length;
+
+		let r_p = mean(periapsides.map(apsis => apsis.r));
+		let r_a = mean(apoapsides.map(apsis => apsis.r));
+		let eccentricity = (r_a - r_p) / (r_a + r_p);
+		let semi_latus_rectum = 2 * r_a * r_p / (r_a + r_p);
+		let semi_major_axis = (r_a + r_p) / 2;
+
+		let orbits = periapsides.length - 1;
+		let first = periapsides[0];
+		let last = periapsides[orbits];
+		let precession = NaN;
+		let period_a = NaN;
+		let period_do = NaN;
+
+		if (orbits >= 1)
+		{
+			precession = Math.abs(last.phi - first.phi) / orbits - 2 * Math.PI;
+			period_a = (last.clock_a - first.clock_a) / orbits;
+			period_do = (last.clock_do - first.clock_do) / orbits;
+		}
+
+		let predicted_precession = 6 * Math.PI * this.simulation.G
+		* this.simulation.central_body.mass
+		/ (this.simulation.c**2 * semi_major_axis * (1 - eccentricity**2));
+
+		return {
+			r_periapsis: r_p,
+			r_apoapsis: r_a,
+			eccentricity: eccentricity,
+			semi_latus_rectum: semi_latus_rectum,
+			semi_major_axis: semi_major_axis,
+			precession: precession,
+			predicted_precession: predicted_precession,
+			period_a: period_a,
+			period_do: period_do
+		};
+	}
+
+
+}
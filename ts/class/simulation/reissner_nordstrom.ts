@@ -0,0 +1,498 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory } from "./simulation_trajectory.js";
+
+
+/**
+ * @class Reissner_Nordstrom
+ *
+ * Inherited from Simulation_trajectory class.
+ * This class will implement the different equations for the Reissner-Nordstrom
+ * metric, the metric of a charged central body without angular momentum.
+ * The mobiles are neutral test particles, the charge only changes the metric:
+ * f(r) = 1 - R_s/r + R_Q²/r² replaces 1 - R_s/r of the external Schwarzschild metric.
+ * Note: This code uses acronyms to differentiate between the different categories
+ * covered by the theory (example: RNM_PH = Reissner-Nordstrom metric for a Photon).
+ *
+ * @param id
+ * @param central_body
+ * @param mobile_list
+ * @param c
+ * @param G
+ *
+ * @method add_mobile
+ * @method mobile_initialization
+ * @method mobile_dtau
+ * @method mobile_trajectory
+ * @method mobile_new_position
+ * @method mobile_velocity
+ * @method mobile_clocks
+ * @method mobile_normalization
+ * @method mobile_potential
+ * @method isco_radius
+ * @method photon_sphere_radius
+ * @method RNM_f_r
+ * @method RNM_df_r
+ * @method RNM_MP_integration_constants
+ * @method RNM_MP_potential_A
+ * @method RNM_MP_trajectory_A
+ * @method RNM_MP_trajectory_DO
+ * @method RNM_PH_integration_constants
+ * @method RNM_PH_potential_A
+ * @method RNM_PH_trajectory_A
+ * @method RNM_PH_trajectory_DO
+ */
+
+export class Reissner_Nordstrom extends Simulation_trajectory
+{
+
+    //-------------------- Constructor ---------------------
+
+
+    constructor(
+        id: string,
+        collidable: boolean,
+        mass: number,
+        radius: number,
+        charge: number,
+        geometric_units: boolean = false
+    ) {
+        super(id, collidable, mass, radius, 0, charge, geometric_units);
+    }
+
+
+    //---------------------- Methods -----------------------
+
+
+    /**
+     * Method that loops over the mobile list and determines the
+     * correct integration constants before storing them in each
+     * mobile as a property. It also takes the user input in terms
+     * of physical velocity and calculate the corresponding U_r and U_phi.
+     * The physical velocity is the one measured by a static observer, so
+     * the mobiles must start where f(r) > 0, outside the outer horizon
+     * or inside the inner horizon.
+     * For a distant observer, U_r is then converted from dr/dtau to dr/dt.
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     */
+    public mobile_initialization(reference_frame: "A" | "DO" = "A"): void
+    {
+        this.mobile_list.forEach(mobile =>
+        {
+            let f = this.RNM_f_r(mobile);
+
+            if (!mobile.is_photon)
+            {
+                let E = f**.5 / (1 - Math.pow(mobile.v_r / this.c, 2))**.5;
+
+                mobile.U_r = Math.cos(mobile.v_alpha) * mobile.v_r * E;
+                mobile.U_phi = Math.sin(mobile.v_alpha) * mobile.v_r * E / f**.5;
+
+                this.RNM_MP_integration_constants(mobile);
+            }
+            else
+            {
+                mobile.U_r = Math.cos(mobile.v_alpha) * this.c;
+                mobile.U_phi = Math.sin(mobile.v_alpha) * this.c / f**.5;
+
+                this.RNM_PH_integration_constants(mobile);
+            }
+
+            if (this.mobile_frame(mobile, reference_frame) === "DO")
+            {
+                mobile.U_r *= f / mobile.E;
+            }
+        });
+    }
+
+
+    /**
+     * Determines the right dtau for each mobile and updates the parameter,
+     * see Simulation_trajectory.step_size.
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     */
+    public mobile_dtau(reference_frame: "A" | "DO"): void
+    {
+        this.mobile_list.forEach(mobile =>
+        {
+            mobile.dtau = this.step_size(mobile, reference_frame);
+        });
+    }
+
+
+    /**
+     * Applies the integration method selected by integrator (RK4, RK45 or GL4)
+     * to the relevant second derivative expression for the current simulation.
+     * @param mobile
+     * @param step dtau
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     *
+     * @returns [tau, r, U_r]
+     */
+    public mobile_trajectory(mobile: Mobile, step: number, reference_frame: "A" | "DO"): number[]
+    {
+        let dtau = step;
+        let tau: number = 0;
+        let r = mobile.r;
+        let U_r = mobile.U_r;
+        let trajectory: (mobile: any, t: number, r: number, U_r: number) => number;
+
+        if (!mobile.is_photon && reference_frame === "A")
+        {
+            trajectory = this.RNM_MP_trajectory_A;
+        }
+        else if (!mobile.is_photon && reference_frame === "DO")
+        {
+            trajectory = this.RNM_MP_trajectory_DO;
+        }
+        else if (mobile.is_photon && reference_frame === "A")
+        {
+            trajectory = this.RNM_PH_trajectory_A;
+        }
+        else
+        {
+            trajectory = this.RNM_PH_trajectory_DO;
+        }
+
+        return this.solve_equation_order2(mobile, dtau, tau, r, U_r, trajectory);
+    }
+
+
+    /**
+     * Updates a mobile with its new position
+     * @param mobile
+     * @param step dtau
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     */
+    public mobile_new_position(mobile: Mobile, step: number, reference_frame: "A" | "DO"): void
+    {
+        let dtau = step;
+        let runge_kutta_result = this.mobile_trajectory(mobile, dtau, reference_frame);
+        mobile.r = runge_kutta_result[1];
+        mobile.U_r = runge_kutta_result[2];
+
+        if (reference_frame === "A")
+        {
+            mobile.phi += this.c * mobile.L * dtau / mobile.r**2;
+        }
+        else
+        {
+            mobile.phi += this.c * mobile.L * dtau * this.RNM_f_r(mobile)
+            / mobile.r**2 / mobile.E;
+        }
+
+        this.monitor_conservation(mobile, reference_frame);
+    }
+
+
+    /**
+     * Updates the physical velocity of a mobile, measured by a static
+     * observer. Between the two horizons, no observer can be static and
+     * the values are not physical.
+     * @param mobile
+     */
+    public mobile_velocity(mobile: Mobile)
+    {
+        let f = this.RNM_f_r(mobile);
+        let dt = mobile.E / f;
+        let dphi = this.c * mobile.L / mobile.r**2;
+        mobile.v_phi = Math.sqrt((mobile.r * dphi / dt)**2 / Math.abs(f));
+
+        let dr = (this.c / mobile.E)**2 * f**2 * (mobile.E**2 - this.mobile_potential(mobile));
+        mobile.v_r = Math.abs(dr / f**2)**.5;
+        mobile.v_norm = (mobile.v_r**2 + mobile.v_phi**2)**.5;
+    }
+
+
+    /**
+     * Updates time parameters of a mobile
+     * @param mobile
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     */
+    public mobile_clocks(mobile: Mobile, reference_frame: "A" | "DO")
+    {
+        let R_hp = this.central_body.R_hp;
+
+        if (reference_frame === "A")
+        {
+            if (!mobile.is_photon)
+            {
+                mobile.clock_a += mobile.dtau;
+            }
+            if (mobile.r > R_hp)
+            {
+                mobile.clock_do += mobile.E / this.RNM_f_r(mobile) * mobile.dtau;
+            }
+            else
+            {
+                mobile.clock_do = Infinity;
+            }
+        }
+        else
+        {
+            mobile.clock_do += mobile.dtau;
+
+            if (mobile.r >= R_hp && !mobile.is_photon)
+            {
+                mobile.clock_a += mobile.dtau * this.RNM_f_r(mobile) / mobile.E;
+            }
+        }
+    }
+
+
+    /**
+     * Relative error on the normalization condition, used by the conservation
+     * monitor. In the DO frame, U_r = dr/dt is converted to dr/dtau with dt/dtau.
+     * @param mobile
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     * @returns ((dr/dtau)² / c² + V_A - E²) / E²
+     */
+    public mobile_normalization(mobile: Mobile, reference_frame: "A" | "DO"): number
+    {
+        let U_r = mobile.U_r;
+
+        if (reference_frame === "DO")
+        {
+            U_r *= mobile.E / this.RNM_f_r(mobile);
+        }
+
+        return ((U_r / this.c)**2 + this.mobile_potential(mobile) - mobile.E**2) / mobile.E**2;
+    }
+
+
+    /**
+     * Potential for an astronaut (A) divided by c² at the current position
+     * of the mobile.
+     * @param mobile
+     * @returns Potential
+     */
+    public mobile_potential(mobile: Mobile): number
+    {
+        if (!mobile.is_photon)
+        {
+            return this.RNM_MP_potential_A(mobile);
+        }
+        return this.RNM_PH_potential_A(mobile);
+    }
+
+
+    /**
+     * Radius of the innermost stable circular orbit, largest root of
+     * r³ - 3 R_s r² + 9 R_Q² r - 8 R_Q⁴ / R_s = 0. It goes from 3 R_s
+     * without charge to 2 R_s for an extremal charge (R_Q = R_s/2).
+     * @returns ISCO radius
+     */
+    public isco_radius(): number
+    {
+        let R_s = this.central_body.R_s;
+        let R_Q = this.central_body.R_Q;
+        let cubic = (r: number) => r**3 - 3 * R_s * r**2 + 9 * R_Q**2 * r - 8 * R_Q**4 / R_s;
+        let r_min = this.photon_sphere_radius();
+        let r_max = 3 * R_s;
+
+        for (let i = 0; i < 60; i++)
+        {
+            let r = (r_min + r_max) / 2;
+
+            if (cubic(r) > 0) { r_max = r; }
+            else { r_min = r; }
+        }
+        return (r_min + r_max) / 2;
+    }
+
+
+    /**
+     * Radius of the photon sphere, (3 R_s + sqrt(9 R_s² - 32 R_Q²)) / 4.
+     * @returns photon sphere radius
+     */
+    public photon_sphere_radius(): number
+    {
+        let R_s = this.central_body.R_s;
+        let R_Q = this.central_body.R_Q;
+
+        return (3 * R_s + Math.sqrt(9 * R_s**2 - 32 * R_Q**2)) / 4;
+    }
+
+
+    /*
+     * The spacial and temporal coordinates are (r, theta, phi, t)
+     * All simulations take place on the theta=pi/2 plane
+     * U_r is dr and U_phi is dphi
+     * R_s is Schwarzschild radius, R_Q the charge length.
+     * R_hp and R_hm are the outer and inner horizons, roots of f(r).
+     * L and E are two Integration constants determined with the
+     * initial conditions. L is a length and E is adimentional.
+     * The "trajectory" functions are to be called by the Runge-Kutta algorithm.
+     * The suffix A or DO refer to Astronaut or Distant Oberver.
+     */
+
+
+    /**
+     * Reissner-Nordstrom metric (RNM)
+     *
+     * Defines a new variable f(r) = 1 - R_s/r + R_Q²/r²
+     * @param mobile
+     * @param r radial coordinate, the one of the mobile by default
+     * @returns f(r)
+     */
+    protected RNM_f_r(mobile: Mobile, r: number = mobile.r): number
+    {
+        return 1 - this.central_body.R_s / r + (this.central_body.R_Q / r)**2;
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric (RNM)
+     *
+     * Derivative of f(r)
+     * @param r
+     * @returns df/dr
+     */
+    protected RNM_df_r(r: number): number
+    {
+        return this.central_body.R_s / r**2 - 2 * this.central_body.R_Q**2 / r**3;
+    }
+
+
+    //  1) For a massive particle (RNM_MP)
+
+
+    /**
+     * Reissner-Nordstrom metric for a Massive Particle (RNM_MP)
+     *
+     * Calculate the integration constants for a mobile in the current
+     * simulation and store the value as a mobile property.
+     * @param mobile
+     */
+    protected RNM_MP_integration_constants(mobile: Mobile): void
+    {
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = Math.sqrt(Math.pow(mobile.U_r / this.c, 2)
+        + this.RNM_f_r(mobile) * (1 + Math.pow(mobile.U_phi / this.c, 2)));
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric for a Massive Particle (RNM_MP)
+     *
+     * Potential for an astronaut (A) divided by c²
+     * @param mobile
+     * @returns Potential
+     */
+    protected RNM_MP_potential_A(mobile: Mobile): number
+    {
+        return this.RNM_f_r(mobile) * (1 + (mobile.L / mobile.r)**2);
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric for a Massive Particle (RNM_MP)
+     *
+     * Second derivative d²r/dtau² for an astronaut (A)
+     *
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected RNM_MP_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
+    {
+        return -(this.c**2) / 2 * (this.RNM_df_r(r) * (1 + (mobile.L / r)**2)
+        - 2 * this.RNM_f_r(mobile, r) * mobile.L**2 / r**3);
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric for a Massive Particle (RNM_MP)
+     *
+     * Second derivative d²r/dt² for a distant observer (DO),
+     * with dr/dt = f dr/dtau / E.
+     *
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected RNM_MP_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
+    {
+        let f = this.RNM_f_r(mobile, r);
+        let V_a = f * (1 + (mobile.L / r)**2);
+
+        return f / mobile.E**2 * (f * this.RNM_MP_trajectory_A(mobile, t, r, U_r)
+        + this.c**2 * (mobile.E**2 - V_a) * this.RNM_df_r(r));
+    }
+
+
+    //  2) For a photon (RNM_PH)
+
+
+    /**
+     * Reissner-Nordstrom metric for a photon (RNM_PH)
+     *
+     * Calculate the integration constants for a mobile in the current
+     * simulation and store the value as a mobile property.
+     * @param mobile
+     */
+    protected RNM_PH_integration_constants(mobile: Mobile): void
+    {
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = Math.sqrt(Math.pow(mobile.U_r / this.c, 2)
+        + this.RNM_f_r(mobile) * Math.pow(mobile.U_phi / this.c, 2));
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric for a photon (RNM_PH)
+     *
+     * Potential for an astronaut (A) divided by c²
+     * @param mobile
+     * @returns Potential
+     */
+    protected RNM_PH_potential_A(mobile: Mobile): number
+    {
+        return this.RNM_f_r(mobile) * (mobile.L / mobile.r)**2;
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric for a photon (RNM_PH)
+     *
+     * Second derivative d²r/dlambda² for an astronaut (A)
+     *
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected RNM_PH_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
+    {
+        return -(this.c**2) / 2 * mobile.L**2 * (this.RNM_df_r(r) / r**2
+        - 2 * this.RNM_f_r(mobile, r) / r**3);
+    }
+
+
+    /**
+     * Reissner-Nordstrom metric for a photon (RNM_PH)
+     *
+     * Second derivative d²r/dt² for a distant observer (DO),
+     * with dr/dt = f dr/dlambda / E.
+     *
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected RNM_PH_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
+    {
+        let f = this.RNM_f_r(mobile, r);
+        let V_a = f * (mobile.L / r)**2;
+
+        return f / mobile.E**2 * (f * this.RNM_PH_trajectory_A(mobile, t, r, U_r)
+        + this.c**2 * (mobile.E**2 - V_a) * this.RNM_df_r(r));
+    }
+
+
+}
@@ -1,6 +1,5 @@
 import { Mobile } from "./simulation objects/mobile.js";
 import { Simulation_trajectory } from "./simulation_trajectory.js";
-import {c,G} from "./../../constants.js";
 
 
 /** 
@@ -12,6 +11,12 @@ import {c,G} from "./../../constants.js";
  * Note: This code uses acronyms to differentiate between the different categories
  * covered by the theory (example: EMS_PH = External Schwarzschild metric for a Photon).
  * 
+ * Inside a central body of uniform density (radius > 0, not collidable), the
+ * internal metric (ISM) is used in both reference frames. A mobile crosses the
+ * surface with the same E and L (see mobile_new_position) and, without angular
+ * momentum, goes through the center as in a tunnel across the central body.
+ * tunnel_period gives the period of this oscillation.
+ * 
  * @param id
  * @param central_body
  * @param mobile_list
@@ -25,6 +30,15 @@ import {c,G} from "./../../constants.js";
  * @method mobile_new_position
  * @method mobile_velocity
  * @method mobile_clocks
+ * @method mobile_normalization
+ * @method mobile_potential
+ * @method isco_radius
+ * @method photon_sphere_radius
+ * @method marginally_bound_radius
+ * @method circular_orbit_velocity
+ * @method light_travel
+ * @method tunnel_period
+ * @method mobile_frequency_ratio
  * @method ESM_MP_integration_constants
  * @method ESM_MP_potential_A
  * @method ESM_MP_potential_DO
@@ -35,14 +49,18 @@ import {c,G} from "./../../constants.js";
  * @method ESM_PH_potential_DO
  * @method ESM_PH_trajectory_A
  * @method ESM_PH_trajectory_DO
+ * @method ESM_PH_system_DO
  * @method ISM_alpha_r
  * @method ISM_beta_r
  * @method ISM_MP_integration_constants
  * @method ISM_MP_potential_A
  * @method ISM_MP_trajectory_A
+ * @method ISM_MP_trajectory_DO
  * @method ISM_PH_integration_constants
  * @method ISM_PH_potential_A
  * @method ISM_PH_trajectory_A
+ * @method ISM_PH_trajectory_DO
+ * @method ISM_DO_acceleration
  */
 
 export class Schwarzschild extends Simulation_trajectory
@@ -56,9 +74,10 @@ export class Schwarzschild extends Simulation_trajectory
         collidable: boolean,
         mass: number,
         radius: number,
-        angular_m: number
+        angular_m: number,
+        geometric_units: boolean = false
     ) {
-    	super(id, collidable, mass, radius, angular_m);
+    	super(id, collidable, mass, radius, angular_m, 0, geometric_units);
 	}
 
 
@@ -70,8 +89,10 @@ export class Schwarzschild extends Simulation_trajectory
      * correct integration constants before storing them in each
      * mobile as a property. It also takes the user input in terms
      * of physical velocity and calculate the corresponding U_r and U_phi.
+     * For a distant observer, U_r is then converted from dr/dtau to dr/dt.
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
      */
-    public mobile_initialization(): void
+    public mobile_initialization(reference_frame: "A" | "DO" = "A"): void
     {
         let R_s = this.central_body.R_s;
         let radius = this.central_body.radius;
@@ -83,7 +104,7 @@ export class Schwarzschild extends Simulation_trajectory
                 if (!mobile.is_photon)
                 {
                     let E = (1 - R_s / mobile.r)**.5
-                    / (1 - Math.pow(mobile.v_r / c, 2))**.5;
+                    / (1 - Math.pow(mobile.v_r / this.c, 2))**.5;
 
                     mobile.U_r = Math.cos(mobile.v_alpha) * mobile.v_r * E;
                     mobile.U_phi = Math.sin(mobile.v_alpha) * mobile.v_r * E
@@ -93,8 +114,8 @@ export class Schwarzschild extends Simulation_trajectory
                 }
                 else if (mobile.is_photon)
                 {
-                    mobile.U_r = Math.cos(mobile.v_alpha) * c;
-                    mobile.U_phi = Math.sin(mobile.v_alpha) * c
+                    mobile.U_r = Math.cos(mobile.v_alpha) * this.c;
+                    mobile.U_phi = Math.sin(mobile.v_alpha) * this.c
                     / (1 - R_s / mobile.r)**.5;
                     
                     this.ESM_PH_integration_constants(mobile);
@@ -107,34 +128,48 @@ export class Schwarzschild extends Simulation_trajectory
 
                 if (!mobile.is_photon)
                 {
-                    let E = beta**.5
-                    / (1 - mobile.v_r * 2 / c**2)**.5;
+                    // Lorentz factor for the static observer, the proper radial
+                    // distance being dr / sqrt(alpha): the velocity is the same as
+                    // the external one on the surface
+                    let gamma = 1 / (1 - Math.pow(mobile.v_r / this.c, 2))**.5;
 
                     mobile.U_r = Math.cos(mobile.v_alpha) * alpha**.5
-                    * mobile.v_r * E;
-                    mobile.U_phi = Math.sin(mobile.v_alpha) * mobile.v_r * E
-                    / beta;
+                    * mobile.v_r * gamma;
+                    mobile.U_phi = Math.sin(mobile.v_alpha) * mobile.v_r * gamma;
 
                     this.ISM_MP_integration_constants(mobile);
                 }
                 else if (mobile.is_photon)
                 {
-                    mobile.U_r = Math.cos(mobile.v_alpha) * alpha**.5 * c
+                    mobile.U_r = Math.cos(mobile.v_alpha) * alpha**.5 * this.c
                     / beta;
-                    mobile.U_phi = Math.sin(mobile.v_alpha) * c / beta;
+                    mobile.U_phi = Math.sin(mobile.v_alpha) * this.c / beta;
 
                     this.ISM_PH_integration_constants(mobile);
                 }
             }
+
+            if (this.mobile_frame(mobile, reference_frame) === "DO")
+            {
+                if (mobile.r >= radius || radius === 0)
+                {
+                    mobile.U_r *= (1 - R_s / mobile.r) / mobile.E;
+                }
+                else
+                {
+                    mobile.U_r *= this.ISM_beta_r(mobile)**2 / mobile.E;
+                }
+            }
         });
     }
 
 
     /**
-     * Determines the right dtau for each mobile and updates the parameter.
-     * The dtau and free_fall_time (temps_chute_libre in the old code) formulas
-     * are not included in the theory but are the result of trial and error.
-     * Ask Mr. Cordoni and Mr. Reboul for more information..
+     * Determines the right dtau for each mobile and updates the parameter,
+     * see Simulation_trajectory.step_size.
+     * There is no singularity inside the central body: the step does not
+     * vanish when a mobile goes through the center.
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
      */
     public mobile_dtau(reference_frame: "A" | "DO"): void
     {
@@ -142,59 +177,14 @@ export class Schwarzschild extends Simulation_trajectory
 
         this.mobile_list.forEach(mobile =>
         {
-            let free_fall_time = Math.PI * mobile.r * Math.sqrt(
-                mobile.r / (2 * G * this.central_body.mass)
-            )**.5 / 2;
-            
-			if (!mobile.is_photon)
-			{
-        	    if (mobile.r >= radius || radius === 0)
-        	    {
-        	        mobile.dtau = mobile.r / (Math.sqrt(
-        	            mobile.U_r**2 + mobile.U_phi**2
-        	        ) + 1e-10) / 1e3;
-
-        	        if (mobile.dtau > free_fall_time/500)
-        	        {
-        	            mobile.dtau = free_fall_time/500;
-        	        } 
-        	    }
-        	    else if (mobile.r < radius && radius !== 0)
-        	    {
-        	        mobile.dtau = mobile.r
-        	        / (Math.sqrt(mobile.U_r**2 + mobile.U_phi**2) + 1e-20) / 1000;
-
-        	        if (mobile.dtau > free_fall_time/500)
-        	        {
-        	            mobile.dtau = free_fall_time/500;
-        	        }
-				}
-			}
-			else if (mobile.is_photon)
-			{
-				if (reference_frame === "A")
-				{
-					mobile.dtau = 1e-3*mobile.r
-        	        / (Math.abs(mobile.U_r) + Math.abs(mobile.U_phi) + 1);
-        	    }
-        	    else
-        	    {
-        	        mobile.dtau = mobile.r
-        	        / (Math.sqrt(mobile.U_r**2 + mobile.U_phi**2) + 1) / 1000;
-					
-        	        if (mobile.dtau > free_fall_time/500)
-        	        {
-        	            mobile.dtau = free_fall_time/500;
-        	        }	
-				}
-			}
+            mobile.dtau = this.step_size(mobile, reference_frame, Math.max(mobile.r, radius));
         });
     }
 
 
     /**
-     * Applies the Runge-Kutta algorithm to the relevant second derivative
-     * expression for the current simulation.
+     * Applies the integration method selected by integrator (RK4, RK45 or GL4)
+     * to the relevant second derivative expression for the current simulation.
      * @param mobile
      * @param step dtau
      * @param reference_frame Astronaut (A), Distant Observer (DO)
@@ -204,15 +194,17 @@ export class Schwarzschild extends Simulation_trajectory
     public mobile_trajectory(mobile: Mobile, step: number, reference_frame: "A" | "DO"): number[]
     {
         let dtau = step;
-        let tau: number;
+        let tau: number = 0;
         let radius = this.central_body.radius;
         let is_photon = mobile.is_photon;
         let r = mobile.r;
         let U_r = mobile.U_r;
+        // On the surface, a mobile going inward follows the internal metric
+        let outside = mobile.r > radius || (mobile.r === radius && U_r >= 0) || radius === 0;
 
-        if ((mobile.r >= radius || radius === 0) && !is_photon && reference_frame === "A")
+        if (outside && !is_photon && reference_frame === "A")
         {
-            return this.runge_kutta_equation_order2(
+            return this.solve_equation_order2(
                 mobile,
                 dtau,
                 tau,
@@ -221,9 +213,9 @@ export class Schwarzschild extends Simulation_trajectory
                 this.ESM_MP_trajectory_A
             );
         }
-        else if ((mobile.r >= radius || radius === 0) && !is_photon && reference_frame === "DO")
+        else if (outside && !is_photon && reference_frame === "DO")
         {
-            return this.runge_kutta_equation_order2(
+            return this.solve_equation_order2(
                 mobile,
                 dtau,
                 tau,
@@ -232,9 +224,9 @@ export class Schwarzschild extends Simulation_trajectory
                 this.ESM_MP_trajectory_DO
             );
         }
-        else if ((mobile.r >= radius || radius === 0) && is_photon && reference_frame === "A")
+        else if (outside && is_photon && reference_frame === "A")
         {
-            return this.runge_kutta_equation_order2(
+            return this.solve_equation_order2(
                 mobile,
                 dtau,
                 tau,
@@ -243,9 +235,9 @@ export class Schwarzschild extends Simulation_trajectory
                 this.ESM_PH_trajectory_A
             );
         }
-        else if ((mobile.r >= radius || radius === 0) && is_photon && reference_frame === "DO")
+        else if (outside && is_photon && reference_frame === "DO")
         {
-            return this.runge_kutta_equation_order2(
+            return this.solve_equation_order2(
                 mobile,
                 dtau,
                 tau,
@@ -254,28 +246,28 @@ export class Schwarzschild extends Simulation_trajectory
                 this.ESM_PH_trajectory_DO
             );
         }
-        else if (mobile.r < radius && radius !== 0)
+        else if (!outside)
         {
             if (!is_photon)
             {
-                return this.runge_kutta_equation_order2(
+                return this.solve_equation_order2(
                     mobile,
                     dtau,
                     tau,
                     r,
                     U_r,
-                    this.ISM_MP_trajectory_A
+                    (reference_frame === "A") ? this.ISM_MP_trajectory_A : this.ISM_MP_trajectory_DO
                 );
             }
             else
             {
-                return this.runge_kutta_equation_order2(
+                return this.solve_equation_order2(
                     mobile,
                     dtau,
                     tau,
                     r,
                     U_r,
-                    this.ISM_PH_trajectory_A
+                    (reference_frame === "A") ? this.ISM_PH_trajectory_A : this.ISM_PH_trajectory_DO
                 );
             }
         }
@@ -283,26 +275,76 @@ export class Schwarzschild extends Simulation_trajectory
 
 
     /**
-     * Updates a mobile with its new position
+     * Updates a mobile with its new position.
+     * A step that crosses the surface of a central body which is not collidable
+     * is split at the surface, each part being integrated with the metric of its
+     * side: both metrics match at r = R, so E and L keep their values.
      * @param mobile 
      * @param step dtau
      * @param reference_frame Astronaut (A), Distant Observer (DO)
      */
     public mobile_new_position(mobile: Mobile, step: number, reference_frame: "A" | "DO"): void
+    {
+        let radius = this.central_body.radius;
+        let r = mobile.r;
+        let U_r = mobile.U_r;
+        let phi = mobile.phi;
+
+        this.mobile_move(mobile, step, reference_frame);
+
+        if (radius !== 0 && !this.central_body.collidable && (r - radius) * (mobile.r - radius) < 0)
+        {
+            let fraction = (radius - r) / (mobile.r - r);
+
+            mobile.r = r;
+            mobile.U_r = U_r;
+            mobile.phi = phi;
+            this.mobile_move(mobile, fraction * step, reference_frame);
+            mobile.r = radius;
+            this.mobile_move(mobile, (1 - fraction) * step, reference_frame);
+        }
+
+        this.monitor_conservation(mobile, reference_frame);
+    }
+
+
+    /**
+     * Moves a mobile by one step with the metric of its side of the surface.
+     * Inside the central body, a mobile without angular momentum goes through
+     * the center (r < 0 at the end of the step) to the opposite side, as in
+     * a tunnel across the central body.
+     * @param mobile
+     * @param step dtau
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     */
+    private mobile_move(mobile: Mobile, step: number, reference_frame: "A" | "DO"): void
     {
         let dtau = step;
         let R_s = this.central_body.R_s;
+        let radius = this.central_body.radius;
         let runge_kutta_result = this.mobile_trajectory(mobile, dtau, reference_frame);
         mobile.r = runge_kutta_result[1];
         mobile.U_r = runge_kutta_result[2];
 
+        if (mobile.r < 0 && radius !== 0)
+        {
+            mobile.r = -mobile.r;
+            mobile.U_r = -mobile.U_r;
+            mobile.phi += Math.PI;
+        }
+
         if (reference_frame === "A")
         {
-            mobile.phi += c * mobile.L * dtau / mobile.r**2;
+            mobile.phi += this.c * mobile.L * dtau / mobile.r**2;
+        }
+        else if (mobile.r >= radius || radius === 0)
+        {
+            mobile.phi += this.c * mobile.L * dtau * (1 - R_s / mobile.r)
+            / mobile.r**2 / mobile.E;
         }
         else
         {
-            mobile.phi += c * mobile.L * dtau * (1 - R_s / mobile.r)
+            mobile.phi += this.c * mobile.L * dtau * this.ISM_beta_r(mobile)**2
             / mobile.r**2 / mobile.E;
         }
     }
@@ -320,18 +362,18 @@ export class Schwarzschild extends Simulation_trajectory
         if (mobile.r >= radius || radius === 0)
         {
             let dt = mobile.E / (1 - R_s / mobile.r);
-            let dphi = c * mobile.L / mobile.r**2;
+            let dphi = this.c * mobile.L / mobile.r**2;
             mobile.v_phi = Math.sqrt((mobile.r * dphi / dt)**2 / (1 - R_s / mobile.r));
 
             if (!mobile.is_photon)
             {
-                let dr = (c / mobile.E)**2 * (1 - R_s / mobile.r)**2
+                let dr = (this.c / mobile.E)**2 * (1 - R_s / mobile.r)**2
                 * (mobile.E**2 - (1 - R_s / mobile.r) * (1 + (mobile.L / mobile.r)**2));
                 mobile.v_r = Math.abs(dr / (1 - R_s / mobile.r)**2)**.5;
             }
             else
             {
-                let dr = (c / mobile.E)**2 * (1 - R_s / mobile.r)**2
+                let dr = (this.c / mobile.E)**2 * (1 - R_s / mobile.r)**2
                 * (mobile.E**2 - (1 - R_s / mobile.r) * ((mobile.L / mobile.r)**2));
                 mobile.v_r = Math.abs(dr / (1 - R_s / mobile.r)**2)**.5;
             }
@@ -341,17 +383,17 @@ export class Schwarzschild extends Simulation_trajectory
             let alpha = this.ISM_alpha_r(mobile);
             let beta = this.ISM_beta_r(mobile);
             mobile.v_phi = Math.sqrt((mobile.r**2 / beta**2)
-            * (c * mobile.L * beta**2 / mobile.r**2)**2);
+            * (this.c * mobile.L * beta**2 / mobile.r**2)**2);
 
             if (!mobile.is_photon)
             {
-                let dr = ((c / mobile.E)**2) * alpha * beta**4 * ((mobile.E / beta)**2
+                let dr = ((this.c / mobile.E)**2) * alpha * beta**4 * ((mobile.E / beta)**2
                 - (mobile.L / mobile.r)**2 - 1);
                 mobile.v_r = Math.sqrt(dr / (alpha * beta**2));
             }
             else
             {
-                let dr = ((c / mobile.E)**2) * alpha * (beta**4)
+                let dr = ((this.c / mobile.E)**2) * alpha * (beta**4)
                 * ((mobile.E / beta)**2 - (mobile.L / mobile.r)**2);
                 mobile.v_r = Math.sqrt(dr / (alpha * beta**2));
             }
@@ -421,6 +463,420 @@ export class Schwarzschild extends Simulation_trajectory
     }
 
 
+    /**
+     * Relative error on the normalization condition, used by the conservation
+     * monitor. In the DO frame, U_r = dr/dt is converted to dr/dtau with dt/dtau.
+     * @param mobile
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     * @returns ((dr/dtau)² / c² + V_A - E²) / E²
+     */
+    public mobile_normalization(mobile: Mobile, reference_frame: "A" | "DO"): number
+    {
+        let radius = this.central_body.radius;
+        let R_s = this.central_body.R_s;
+        let U_r = mobile.U_r;
+        let potential: number;
+
+        if (mobile.r >= radius || radius === 0)
+        {
+            if (reference_frame === "DO")
+            {
+                U_r *= mobile.E / (1 - R_s / mobile.r);
+            }
+
+            if (!mobile.is_photon)
+            {
+                potential = this.ESM_MP_potential_A(mobile);
+            }
+            else
+            {
+                potential = this.ESM_PH_potential_A(mobile);
+            }
+        }
+        else
+        {
+            if (reference_frame === "DO")
+            {
+                U_r *= mobile.E / this.ISM_beta_r(mobile)**2;
+            }
+
+            if (!mobile.is_photon)
+            {
+                potential = this.ISM_MP_potential_A(mobile);
+            }
+            else
+            {
+                potential = this.ISM_PH_potential_A(mobile);
+            }
+        }
+
+        return ((U_r / this.c)**2 + potential - mobile.E**2) / mobile.E**2;
+    }
+
+
+    /**
+     * Potential for an astronaut (A) divided by c² at the current position
+     * of the mobile, in the external or internal metric.
+     * @param mobile
+     * @returns Potential
+     */
+    public mobile_potential(mobile: Mobile): number
+    {
+        let radius = this.central_body.radius;
+
+        if (mobile.r >= radius || radius === 0)
+        {
+            if (!mobile.is_photon)
+            {
+                return this.ESM_MP_potential_A(mobile);
+            }
+            return this.ESM_PH_potential_A(mobile);
+        }
+        else
+        {
+            if (!mobile.is_photon)
+            {
+                return this.ISM_MP_potential_A(mobile);
+            }
+            return this.ISM_PH_potential_A(mobile);
+        }
+    }
+
+
+    /**
+     * Radius of the innermost stable circular orbit, 3 R_s.
+     * @returns ISCO radius
+     */
+    public isco_radius(): number
+    {
+        return 3 * this.central_body.R_s;
+    }
+
+
+    /**
+     * Radius of the photon sphere, 3/2 R_s.
+     * @returns photon sphere radius
+     */
+    public photon_sphere_radius(): number
+    {
+        return 1.5 * this.central_body.R_s;
+    }
+
+
+    /**
+     * Radius of the marginally bound circular orbit, 2 R_s, the innermost
+     * circular orbit with E <= 1: a mobile falling from rest at infinity
+     * with a periapsis under this radius is captured.
+     * @returns marginally bound orbit radius
+     */
+    public marginally_bound_radius(): number
+    {
+        return 2 * this.central_body.R_s;
+    }
+
+
+    /**
+     * Initial physical velocity of a circular orbit, the one measured by a
+     * static observer at r: v = c sqrt(R_s / (2 (r - R_s))), perpendicular to
+     * the radial direction. The mobile can be created with
+     * new Mobile(id, false, r, phi, velocity, v_alpha).
+     * The circular orbits exist outside the photon sphere, they are stable
+     * outside the ISCO and bound (E < 1) outside the marginally bound orbit.
+     * @param r radius of the orbit, outside the central body
+     * @param prograde direction of the orbit, increasing phi when true
+     * @returns velocity (m/s), v_alpha (deg), stable and bound
+     */
+    public circular_orbit_velocity(r: number, prograde: boolean = true)
+    {
+        let R_s = this.central_body.R_s;
+
+        if (r < this.central_body.radius)
+        {
+            throw new Error("The circular orbit is inside the central body.");
+        }
+        if (!(r > this.photon_sphere_radius()))
+        {
+            throw new Error("There is no circular orbit for a massive particle inside the photon sphere.");
+        }
+
+        return {
+            velocity: this.c * Math.sqrt(R_s / (2 * (r - R_s))),
+            v_alpha: prograde ? 90 : -90,
+            stable: r >= this.isco_radius(),
+            bound: r > this.marginally_bound_radius()
+        };
+    }
+
+
+    /**
+     * Shoots a photon from (r_1, phi_1) to (r_2, phi_2) on the equatorial plane,
+     * outside the central body. The emission angle is found by the secant method
+     * so that the photon integrated for a distant observer (ESM_PH_system_DO)
+     * reaches r_2 at phi_2, on the side of the central body given by the straight
+     * line between both points (the shortest angle from phi_1 to phi_2).
+     *
+     * The travel time is the coordinate time t and the Shapiro delay is its excess
+     * over the straight line at c, (R_s / c) ln((r_1 + r_2 + d) / (r_1 + r_2 - d))
+     * in the weak field, d being the distance between the points. Like in this
+     * formula, the straight line is measured with the harmonic radial coordinate
+     * r - R_s/2: with r, the delay would be about R_s / c shorter for points on
+     * both sides of the central body. The deflection is the angle between the
+     * directions of the photon at both ends, positive towards the central body.
+     * For the Sun, a radar echo from Venus at superior conjunction, the photon
+     * grazing the surface, comes back about 2.3e-4 s late.
+     * @param r_1 radial coordinate of the emitter (m)
+     * @param phi_1 angular coordinate of the emitter (rad)
+     * @param r_2 radial coordinate of the receiver (m)
+     * @param phi_2 angular coordinate of the receiver (rad)
+     * @param n number of steps on the straight line
+     * @returns travel_time, flat_time, shapiro_delay (s), deflection, emission_angle
+     * from the radial direction for a static observer (rad) and impact_parameter (m)
+     */
+    public light_travel(r_1: number, phi_1: number, r_2: number, phi_2: number, n: number = 20000)
+    {
+        let R_s = this.central_body.R_s;
+        let r_min = Math.max(1.5 * R_s, this.central_body.radius);
+        let delta_phi = Math.atan2(Math.sin(phi_2 - phi_1), Math.cos(phi_2 - phi_1));
+        let side = (delta_phi < 0) ? -1 : 1;
+        delta_phi = Math.abs(delta_phi);
+
+        if (!(r_1 > r_min && r_2 > r_min))
+        {
+            throw new Error("Both points must be outside the central body and the photon sphere.");
+        }
+
+        // Straight line in the plane, the emitter being on the x axis
+        let x_2 = r_2 * Math.cos(delta_phi);
+        let y_2 = r_2 * Math.sin(delta_phi);
+        let distance = Math.hypot(x_2 - r_1, y_2);
+        let alpha_flat = Math.atan2(y_2, x_2 - r_1);
+        // The photon goes through its periapsis if it moves inward at the emitter
+        // and outward at the receiver.
+        let through_periapsis = Math.cos(alpha_flat) < 0
+        && x_2 * (x_2 - r_1) + y_2**2 > 0;
+        let step = distance / this.c / n;
+        let flat_distance = Math.hypot(
+            (r_2 - R_s/2) * Math.cos(delta_phi) - (r_1 - R_s/2),
+            (r_2 - R_s/2) * Math.sin(delta_phi)
+        );
+
+        let shoot = (alpha: number) =>
+        {
+            let mobile = new Mobile("light_travel", true, r_1, 0, 0, alpha * 180 / Math.PI);
+            mobile.U_r = Math.cos(alpha) * this.c;
+            mobile.U_phi = Math.sin(alpha) * this.c / (1 - R_s / r_1)**.5;
+            this.ESM_PH_integration_constants(mobile);
+            mobile.U_r *= (1 - R_s / r_1) / mobile.E;
+
+            let reached = (y: number[]) =>
+                (through_periapsis) ? (y[1] > 0 && y[0] >= r_2)
+                : (r_2 >= r_1) ? y[0] >= r_2 : y[0] <= r_2;
+            let t = 0;
+            let y = [r_1, mobile.U_r, 0];
+            let previous = y;
+
+            for (let i = 0; !reached(y); i++)
+            {
+                if (i > 10 * n || !(y[0] > r_min)) { return undefined; }
+
+                previous = y;
+                y = this.solve_system(mobile, step, t, y, this.ESM_PH_system_DO);
+                t += step;
+            }
+
+            // Newton's method on the last step to end exactly on r_2
+            if (y !== previous)
+            {
+                t -= step;
+                let h = step * (r_2 - previous[0]) / (y[0] - previous[0]);
+
+                for (let i = 0; i < 4; i++)
+                {
+                    y = this.solve_system(mobile, h, t, previous, this.ESM_PH_system_DO);
+                    h += (r_2 - y[0]) / y[1];
+                }
+                y = this.solve_system(mobile, h, t, previous, this.ESM_PH_system_DO);
+                t += h;
+            }
+
+            let derivatives = this.ESM_PH_system_DO(mobile, t, y);
+            let initial = this.ESM_PH_system_DO(mobile, 0, [r_1, mobile.U_r, 0]);
+
+            return {
+                mobile: mobile,
+                time: t,
+                phi: y[2],
+                // Directions of the photon in the plane at both ends
+                psi_1: Math.atan2(r_1 * initial[2], initial[0]),
+                psi_2: y[2] + Math.atan2(y[0] * derivatives[2], derivatives[0])
+            };
+        };
+
+        // Secant method on the angle reached at r_2
+        let alpha_0 = alpha_flat;
+        let alpha_1 = alpha_flat + 1e-6 * (Math.PI - alpha_flat);
+        let result_0 = shoot(alpha_0);
+        let result_1 = shoot(alpha_1);
+
+        for (let i = 0; i < 30; i++)
+        {
+            if (result_0 === undefined || result_1 === undefined)
+            {
+                throw new Error("The photon does not reach the receiver.");
+            }
+            if (Math.abs(result_1.phi - delta_phi) < 1e-14 || result_1.phi === result_0.phi) { break; }
+
+            let alpha = alpha_1 - (result_1.phi - delta_phi) * (alpha_1 - alpha_0)
+            / (result_1.phi - result_0.phi);
+            alpha_0 = alpha_1;
+            result_0 = result_1;
+            alpha_1 = alpha;
+            result_1 = shoot(alpha_1);
+        }
+
+        if (result_1 === undefined)
+        {
+            throw new Error("The photon does not reach the receiver.");
+        }
+
+        return {
+            travel_time: result_1.time,
+            flat_time: flat_distance / this.c,
+            shapiro_delay: result_1.time - flat_distance / this.c,
+            deflection: result_1.psi_2 - result_1.psi_1,
+            emission_angle: side * alpha_1,
+            impact_parameter: result_1.mobile.L / result_1.mobile.E
+        };
+    }
+
+
+    /**
+     * Period of the oscillation of a mobile dropped from rest at r_0 in a tunnel
+     * through the center of the central body (uniform density), four times the
+     * time of the fall to the center. With E = beta(r_0) and L = 0, the internal
+     * metric gives (dr/dtau)² = c² alpha (E² / beta² - 1) and dt/dtau = E / beta².
+     * The integrals are computed with r = r_0 sin(u), which removes the
+     * singularity at the turning point. In Newtonian gravity, the motion is
+     * harmonic with the period 2 pi sqrt(R³ / (G M)) whatever r_0 is.
+     * E² - beta² is not computed as a difference, it would round to 0 for a
+     * weak field body (R / R_s of 1e9 for the Earth): with k = R_s / R³,
+     * E - beta = k (r_0² - r²) / (2 (sqrt(1 - k r²) + sqrt(1 - k r_0²))).
+     * @param r_0 starting radius, inside the central body or on its surface (m)
+     * @param n number of integration points
+     * @returns period_a (proper time), period_do (time of a distant observer)
+     * and period_newton (s)
+     */
+    public tunnel_period(r_0: number = this.central_body.radius, n: number = 10000)
+    {
+        let radius = this.central_body.radius;
+        let R_s = this.central_body.R_s;
+
+        if (radius === 0 || r_0 > radius)
+        {
+            throw new Error("The mobile must start inside the central body.");
+        }
+        if (radius <= 9/8 * R_s)
+        {
+            throw new Error("The central body is too compact for the internal metric (R <= 9/8 R_s).");
+        }
+
+        let mobile = new Mobile("tunnel", false, r_0, 0, 0, 0);
+        let E = this.ISM_beta_r(mobile);
+        let k = R_s / radius**3;
+        let period_a = 0;
+        let period_do = 0;
+        let du = Math.PI / 2 / n;
+
+        for (let i = 0; i < n; i++)
+        {
+            let u = (i + .5) * du;
+            let r = r_0 * Math.sin(u);
+            let beta = this.ISM_beta_r(mobile, r);
+            // (E² / beta² - 1) / (r_0 cos(u))², r_0² - r² = (r_0 cos(u))²
+            let difference = k / (2 * (Math.sqrt(1 - k * r**2) + Math.sqrt(1 - k * r_0**2)))
+            * (E + beta) / beta**2;
+            let dtau = du / (this.c * Math.sqrt(this.ISM_alpha_r(mobile, r) * difference));
+
+            period_a += 4 * dtau;
+            period_do += 4 * dtau * E / beta**2;
+        }
+
+        return {
+            period_a: period_a,
+            period_do: period_do,
+            period_newton: 2 * Math.PI * Math.sqrt(radius**3 / (this.G * this.central_body.mass))
+        };
+    }
+
+
+    /**
+     * Frequency received by a distant observer divided by the frequency emitted
+     * by the mobile, for a photon sent outward with the impact parameter b
+     * (b = 0: radial signal, b > 0: emitted in the direction of rotation of the
+     * mobile). With u the 4-velocity of the mobile and k the one of the photon,
+     * normalized to k_t = -1, the ratio is 1 / (-k.u):
+     * r > R: 1 / (E / (1 - R_s/r) - b L / r² - sqrt(1 - (1 - R_s/r) b²/r²) (dr/dtau) / (c (1 - R_s/r)))
+     * r < R: 1 / (E / beta² - b L / r² - sqrt((1/beta² - b²/r²) / alpha) (dr/dtau) / c)
+     * It is the product of the gravitational shift between a static observer
+     * at r and the distant observer, sqrt(1 - R_s/r) or beta, and of the Doppler
+     * shift between the mobile and the static observer.
+     * Beyond the horizon, no signal comes out and the ratios are 0.
+     * @param mobile
+     * @param reference_frame Astronaut (A), Distant Observer (DO)
+     * @param b impact parameter of the photon (m)
+     * @returns ratio, gravitational and doppler, NaN when the photon cannot
+     * leave r with this impact parameter
+     */
+    public mobile_frequency_ratio(mobile: Mobile, reference_frame: "A" | "DO", b: number = 0)
+    {
+        let radius = this.central_body.radius;
+        let R_s = this.central_body.R_s;
+        let r = mobile.r;
+        let gravitational: number;
+        let k_u: number;
+
+        if (r >= radius || radius === 0)
+        {
+            if (r <= R_s)
+            {
+                return { ratio: 0, gravitational: 0, doppler: 0 };
+            }
+
+            let U_r = mobile.U_r;
+
+            if (reference_frame === "DO")
+            {
+                U_r *= mobile.E / (1 - R_s / r);
+            }
+
+            gravitational = Math.sqrt(1 - R_s / r);
+            k_u = mobile.E / (1 - R_s / r) - b * mobile.L / r**2
+            - Math.sqrt(1 - (1 - R_s / r) * (b / r)**2) * U_r / this.c / (1 - R_s / r);
+        }
+        else
+        {
+            let alpha = this.ISM_alpha_r(mobile);
+            let beta = this.ISM_beta_r(mobile);
+            let U_r = mobile.U_r;
+
+            if (reference_frame === "DO")
+            {
+                U_r *= mobile.E / beta**2;
+            }
+
+            gravitational = beta;
+            k_u = mobile.E / beta**2 - b * mobile.L / r**2
+            - Math.sqrt((1 / beta**2 - (b / r)**2) / alpha) * U_r / this.c;
+        }
+
+        return {
+            ratio: 1 / k_u,
+            gravitational: gravitational,
+            doppler: 1 / (k_u * gravitational)
+        };
+    }
+
+
     //  I/ The external Schwarzschild metric (ESM)
 
     /*
@@ -448,10 +904,10 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ESM_MP_integration_constants(mobile: Mobile): void
     {
-        mobile.L = mobile.U_phi * mobile.r / c;
-        mobile.E = Math.sqrt(Math.pow(mobile.U_r / c, 2)
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = Math.sqrt(Math.pow(mobile.U_r / this.c, 2)
         + (1 - this.central_body.R_s / mobile.r)
-        * (1 + Math.pow(mobile.U_phi / c, 2)));
+        * (1 + Math.pow(mobile.U_phi / this.c, 2)));
     }
 
 
@@ -481,8 +937,8 @@ export class Schwarzschild extends Simulation_trajectory
         let V_a = (1 - this.central_body.R_s / mobile.r)
         * (1 + (mobile.L / mobile.r)**2);
 
-        return mobile.E**2 - (c**2 - V_a / mobile.E**2)
-        * (1 - this.central_body.R_s / mobile.r)**2 / c**2;
+        return mobile.E**2 - (this.c**2 - V_a / mobile.E**2)
+        * (1 - this.central_body.R_s / mobile.r)**2 / this.c**2;
     }
 
 
@@ -499,7 +955,7 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ESM_MP_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
     {
-        return c**2 / (2 * r**4) * (-this.central_body.R_s * r**2
+        return this.c**2 / (2 * r**4) * (-this.central_body.R_s * r**2
             + (2*r - 3*this.central_body.R_s) * mobile.L**2);
     }
 
@@ -517,7 +973,7 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ESM_MP_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
     {
-        return c**2 * (r - this.central_body.R_s) * (2 * mobile.E**2 * r**3 * this.central_body.R_s
+        return this.c**2 * (r - this.central_body.R_s) * (2 * mobile.E**2 * r**3 * this.central_body.R_s
             + 2*(mobile.L * r)**2 - 7 * mobile.L**2 * r * this.central_body.R_s
             + 5 * (mobile.L * this.central_body.R_s)**2 - 3 * r**3 * this.central_body.R_s
             + 3 * (r * this.central_body.R_s)**2) / (2 * mobile.E**2 * r**6);
@@ -536,10 +992,10 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ESM_PH_integration_constants(mobile: Mobile): void
     {
-        mobile.L = mobile.U_phi * mobile.r / c;
-        mobile.E = Math.sqrt(Math.pow(mobile.U_r / c, 2)
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = Math.sqrt(Math.pow(mobile.U_r / this.c, 2)
         + (1 - this.central_body.R_s / mobile.r) 
-        * Math.pow(mobile.U_phi / c, 2));
+        * Math.pow(mobile.U_phi / this.c, 2));
     }
 
 
@@ -553,7 +1009,7 @@ export class Schwarzschild extends Simulation_trajectory
     protected ESM_PH_potential_A(mobile: Mobile): number
     {
         return (1 - this.central_body.R_s / mobile.r)
-        * (1 + (mobile.L / mobile.r)**2);
+        * (mobile.L / mobile.r)**2;
     }
 
 
@@ -567,10 +1023,10 @@ export class Schwarzschild extends Simulation_trajectory
     protected ESM_PH_potential_DO(mobile: Mobile): number
     {
         let V_a = (1 - this.central_body.R_s / mobile.r)
-        * (1 + (mobile.L / mobile.r)**2);
+        * (mobile.L / mobile.r)**2;
 
-        return mobile.E**2 - (c**2 - V_a / mobile.E**2)
-        * (1 - this.central_body.R_s / mobile.r)**2 / c**2;
+        return mobile.E**2 - (this.c**2 - V_a / mobile.E**2)
+        * (1 - this.central_body.R_s / mobile.r)**2 / this.c**2;
     }
 
 
@@ -587,7 +1043,7 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ESM_PH_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
     {
-        return c**2 / (2 * r**4) * (2*r - 3*this.central_body.R_s) * mobile.L**2;
+        return this.c**2 / (2 * r**4) * (2*r - 3*this.central_body.R_s) * mobile.L**2;
     }
 
 
@@ -604,13 +1060,36 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ESM_PH_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
     {
-        return c**2 * (r - this.central_body.R_s) * (2 * mobile.E**2 * r**3
+        return this.c**2 * (r - this.central_body.R_s) * (2 * mobile.E**2 * r**3
             * this.central_body.R_s + 2*(mobile.L * r)**2 - 7 * mobile.L**2 * r
             * this.central_body.R_s + 5 * (mobile.L * this.central_body.R_s)**2)
             / (2 * mobile.E**2 * r**6);
     }
 
 
+    /**
+     * External Schwarzschild metric for a photon (ESM_PH)
+     *
+     * Derivatives of [r, dr/dt, phi] for a distant observer (DO), the second
+     * derivative being given by ESM_PH_trajectory_DO and
+     * dphi/dt = c L (1 - R_s/r) / (E r²).
+     *
+     * This method is to be used with solve_system.
+     * @param mobile
+     * @param t
+     * @param y [r, U_r, phi]
+     * @returns [dr/dt, d²r/dt², dphi/dt]
+     */
+    protected ESM_PH_system_DO(mobile: any, t: number, y: number[]): number[]
+    {
+        return [
+            y[1],
+            this.ESM_PH_trajectory_DO(mobile, t, y[0], y[1]),
+            this.c * mobile.L * (1 - this.central_body.R_s / y[0]) / (mobile.E * y[0]**2)
+        ];
+    }
+
+
     //  II/ The internal Schwarzschild metric (ISM)
 
     /*
@@ -625,11 +1104,12 @@ export class Schwarzschild extends Simulation_trajectory
      * 
      * Defines a new variable alpha(r)
      * @param mobile 
+     * @param r radial coordinate, the one of the mobile by default
      * @returns alpha(r)
      */
-    protected ISM_alpha_r(mobile: Mobile): number
+    protected ISM_alpha_r(mobile: Mobile, r: number = mobile.r): number
     {
-        return 1 - mobile.r**2 * this.central_body.R_s
+        return 1 - r**2 * this.central_body.R_s
         / this.central_body.radius**3;
     }
 
@@ -639,13 +1119,14 @@ export class Schwarzschild extends Simulation_trajectory
      * 
      * Defines a new variable beta(r)
      * @param mobile 
+     * @param r radial coordinate, the one of the mobile by default
      * @returns beta(r)
      */
-    protected ISM_beta_r(mobile: Mobile): number
+    protected ISM_beta_r(mobile: Mobile, r: number = mobile.r): number
     {
         return 3/2 * (1 - this.central_body.R_s
             / this.central_body.radius)**.5 - .5
-            * (1 - mobile.r**2 * this.central_body.R_s
+            * (1 - r**2 * this.central_body.R_s
             / this.central_body.radius**3)**.5;
     }
 
@@ -662,9 +1143,9 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ISM_MP_integration_constants(mobile: Mobile): void
     {
-        mobile.L = mobile.U_phi * mobile.r / c;
-        mobile.E = this.ISM_beta_r(mobile) / c * Math.sqrt(mobile.U_r**2
-            / this.ISM_alpha_r(mobile) + mobile.U_phi**2 + c**2);
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = this.ISM_beta_r(mobile) / this.c * Math.sqrt(mobile.U_r**2
+            / this.ISM_alpha_r(mobile) + mobile.U_phi**2 + this.c**2);
     }
 
 
@@ -696,11 +1177,30 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ISM_MP_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
     {
-        return -(c**2 * r * this.central_body.R_s / this.central_body.radius**3)
-        * (Math.pow(mobile.E / this.ISM_beta_r(mobile), 2) - Math.pow(mobile.L / r, 2) - 1)
-        + c**2 * this.ISM_alpha_r(mobile) * .5*(-(mobile.E**2 * r * this.central_body.R_s)
-        / ((this.ISM_beta_r(mobile) * this.central_body.radius)**3
-        * this.ISM_alpha_r(mobile)**.5) + 2 * mobile.L**2 / r**3);
+        return -(this.c**2 * r * this.central_body.R_s / this.central_body.radius**3)
+        * (Math.pow(mobile.E / this.ISM_beta_r(mobile, r), 2) - Math.pow(mobile.L / r, 2) - 1)
+        + this.c**2 * this.ISM_alpha_r(mobile, r) * .5*(-(mobile.E**2 * r * this.central_body.R_s)
+        / ((this.ISM_beta_r(mobile, r) * this.central_body.radius)**3
+        * this.ISM_alpha_r(mobile, r)**.5) + 2 * mobile.L**2 / r**3);
+    }
+
+
+    /**
+     * Internal Schwarzschild metric for a massive particle (ISM_MP)
+     * 
+     * Second derivative d²r/dt² for a distant observer (DO). With
+     * dt/dtau = E / beta², d²r/dt² = 2 beta' / beta (dr/dt)² + (beta² / E)² d²r/dtau².
+     * 
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected ISM_MP_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
+    {
+        return this.ISM_DO_acceleration(mobile, r, U_r,
+            this.ISM_MP_trajectory_A(mobile, t, r, U_r));
     }
 
 
@@ -716,8 +1216,8 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ISM_PH_integration_constants(mobile: Mobile): void
     {
-        mobile.L = mobile.U_phi * mobile.r / c;
-        mobile.E = this.ISM_beta_r(mobile) / c
+        mobile.L = mobile.U_phi * mobile.r / this.c;
+        mobile.E = this.ISM_beta_r(mobile) / this.c
         * Math.sqrt(mobile.U_r**2 / this.ISM_alpha_r(mobile) + mobile.U_phi**2);
     }
 
@@ -750,11 +1250,52 @@ export class Schwarzschild extends Simulation_trajectory
      */
     protected ISM_PH_trajectory_A(mobile: any, t: number, r: number, U_r: number): number
     {
-        return -(c**2 * r * this.central_body.R_s / this.central_body.radius**3)
-        * (Math.pow(mobile.E / this.ISM_beta_r(mobile), 2) - Math.pow(mobile.L / r, 2))
-        + c**2 * this.ISM_alpha_r(mobile) * .5*(-(mobile.E**2 * r * this.central_body.R_s)
-        / ((this.ISM_beta_r(mobile) * this.central_body.radius)**3
-        * this.ISM_alpha_r(mobile)**.5) + 2 * mobile.L**2 / r**3);
+        return -(this.c**2 * r * this.central_body.R_s / this.central_body.radius**3)
+        * (Math.pow(mobile.E / this.ISM_beta_r(mobile, r), 2) - Math.pow(mobile.L / r, 2))
+        + this.c**2 * this.ISM_alpha_r(mobile, r) * .5*(-(mobile.E**2 * r * this.central_body.R_s)
+        / ((this.ISM_beta_r(mobile, r) * this.central_body.radius)**3
+        * this.ISM_alpha_r(mobile, r)**.5) + 2 * mobile.L**2 / r**3);
+    }
+
+
+    /**
+     * Internal Schwarzschild metric for a photon (ISM_PH)
+     * 
+     * Second derivative d²r/dt² for a distant observer (DO),
+     * see ISM_MP_trajectory_DO.
+     * 
+     * This method is to be used with Runge-Kutta.
+     * @param mobile
+     * @param t
+     * @param r
+     * @param U_r
+     */
+    protected ISM_PH_trajectory_DO(mobile: any, t: number, r: number, U_r: number): number
+    {
+        return this.ISM_DO_acceleration(mobile, r, U_r,
+            this.ISM_PH_trajectory_A(mobile, t, r, U_r));
+    }
+
+
+    /**
+     * Internal Schwarzschild metric (ISM)
+     * 
+     * Converts d²r/dtau² to d²r/dt² for a distant observer (DO):
+     * d²r/dt² = 2 beta' / beta (dr/dt)² + (beta² / E)² d²r/dtau²,
+     * with beta' = r R_s / (2 R³ sqrt(alpha)).
+     * @param mobile
+     * @param r
+     * @param U_r dr/dt
+     * @param acceleration d²r/dtau² at r
+     * @returns d²r/dt²
+     */
+    protected ISM_DO_acceleration(mobile: Mobile, r: number, U_r: number, acceleration: number): number
+    {
+        let beta = this.ISM_beta_r(mobile, r);
+        let d_beta = r * this.central_body.R_s
+        / (2 * this.central_body.radius**3 * this.ISM_alpha_r(mobile, r)**.5);
+
+        return 2 * d_beta / beta * U_r**2 + (beta**2 / mobile.E)**2 * acceleration;
     }
 
 
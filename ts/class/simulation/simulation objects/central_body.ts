@@ -4,31 +4,51 @@
  * This class is used to describe the central mass of a system
  * in trajectory simulations.
  * 
+ * The calculated parameters (R_s, a, R_Q, R_hp, R_hm and the radius) are
+ * updated each time a primordial parameter or a constant is modified. A central
+ * body with R_s² < 4 (a² + R_Q²) has no horizon and is rejected, unless
+ * naked_singularity is true: R_hp and R_hm are then 0.
+ * 
  * @param collidable
  * @param mass
  * @param radius
  * @param angular_m
+ * @param charge
  * @param R_s
  * @param a
+ * @param R_Q
  * @param R_hp
  * @param R_hm
+ * @param c
+ * @param G
+ * @param epsilon_0
+ * @param naked_singularity
  * 
  * @method update_parameters
  */
 
-import {c,G} from "./../../../constants.js"
+import {c,G,epsilon_0} from "./../../../constants.js"
 
 export class Central_body
 {
 
     private _collidable: boolean;   // Can the object collide
     private _mass: number;          // Mass
-    private _radius: number;        // Radius
+    private _surface: number;       // Radius given to the body
+    private _radius: number;        // Radius, 0 if the surface is inside R_s
     private _angular_m: number;     // Angular momentum (J)
+    private _charge: number;        // Electric charge (C)
     private _R_s: number;           // Schwarzschild radius
     private _a: number;             // Calculated parameter a=J/cM
-    private _R_hp: number;          // See Kerr metric theory
-    private _R_hm: number;          // See Kerr metric theory
+    private _R_Q: number;           // Charge length, R_Q² = G Q² / (4 pi epsilon_0 c⁴)
+    private _R_hp: number;          // See Kerr metric theory, outer horizon
+    private _R_hm: number;          // See Kerr metric theory, inner horizon
+    // Constants of the simulation, see Simulation_trajectory
+    private _c: number = c;
+    private _G: number = G;
+    private _epsilon_0: number = epsilon_0;
+    // Allows a central body without horizon (R_s² < 4 (a² + R_Q²))
+    private _naked_singularity: boolean = false;
  
 
     //-------------------- Constructor ---------------------
@@ -38,38 +58,22 @@ export class Central_body
         collidable: boolean,
         mass: number,
         radius: number,
-        angular_m?: number
+        angular_m?: number,
+        charge?: number,
+        naked_singularity: boolean = false,
+        constants: { c: number, G: number, epsilon_0: number } = { c: c, G: G, epsilon_0: epsilon_0 }
     ) {
         this._collidable = collidable;
-        this._mass = mass;
-        this._R_s = 2*G*this._mass / c**2;
-        
-        /* If the radius of a body is smaller than its Schwarzschild radius,
-        it becomes a black hole and therefore a singularity in the framework
-        of general relativity. */
-        
-        if (radius <= this._R_s) { this._radius = 0; }
-        else { this._radius = radius; }
-        
-        /* If the angular momentum is not null, the Kerr metric is used and it
-        needs new calculated parameters. */
-
-        if (angular_m === undefined || angular_m === 0)
-        {
-            this._angular_m = 0;
-            this._a = 0;
-            this._R_hp = this._R_s;
-            this._R_hm = 0;
-        }
-        else
-        {
-            this._angular_m = angular_m;
-            this._a = this._angular_m / (c * this._mass);
-            this._R_hp = (this._R_s
-                + Math.sqrt(this._R_s**2 - 4 * this._a**2)) / 2;
-            this._R_hm = (this._R_s
-                - Math.sqrt(this._R_s**2 - 4 * this._a**2)) / 2;
-        }
+        this.update_parameters({
+            mass: mass,
+            radius: radius,
+            angular_m: angular_m === undefined ? 0 : angular_m,
+            charge: charge === undefined ? 0 : charge,
+            c: constants.c,
+            G: constants.G,
+            epsilon_0: constants.epsilon_0,
+            naked_singularity: naked_singularity
+        });
     }
 
 
@@ -88,17 +92,17 @@ export class Central_body
     // Mass
     public get mass() { return this._mass; }
 
-    public set mass(mass: number) { this._mass = mass; }
+    public set mass(mass: number) { this.update_parameters({ mass: mass }); }
 
 
+    /* If the radius of a body is smaller than its Schwarzschild radius,
+    it becomes a black hole and therefore a singularity in the framework
+    of general relativity. */
+
     // Radius
     public get radius() { return this._radius; }
     
-    public set radius(radius: number)
-    {
-        if (radius <= this._R_s) { this._radius = 0; }
-        else { this._radius = radius; }
-    }
+    public set radius(radius: number) { this.update_parameters({ radius: radius }); }
 
 
     // Angular momentum
@@ -106,59 +110,134 @@ export class Central_body
 
     public set angular_m(angular_m: number)
     {
-        this._angular_m = angular_m;
+        this.update_parameters({ angular_m: angular_m });
     }
 
 
+    // Electric charge
+    public get charge() { return this._charge; }
+
+    public set charge(charge: number) { this.update_parameters({ charge: charge }); }
+
+
     // Schwarzschild radius
     public get R_s() { return this._R_s; }
 
-    public set R_s(R_s: number) { this._R_s = R_s; }
-
 
     // Parameter a
     public get a() { return this._a; }
 
-    public set a(a: number) { this._a = a; }
+
+    // Charge length
+    public get R_Q() { return this._R_Q; }
 
 
     // R_hp
     public get R_hp() { return this._R_hp; }
 
-    public set R_hp(R_hp: number) { this._R_hp = R_hp; }
-
 
     // R_hm
     public get R_hm() { return this._R_hm; }
 
-    public set R_hm(R_hm: number) { this._R_hm = R_hm; }
+
+    // Constants
+    public get c() { return this._c; }
+
+    public set c(c: number) { this.update_parameters({ c: c }); }
+
+
+    public get G() { return this._G; }
+
+    public set G(G: number) { this.update_parameters({ G: G }); }
+
+
+    public get epsilon_0() { return this._epsilon_0; }
+
+    public set epsilon_0(epsilon_0: number) { this.update_parameters({ epsilon_0: epsilon_0 }); }
+
+
+    // Naked singularity
+    public get naked_singularity() { return this._naked_singularity; }
+
+    public set naked_singularity(naked_singularity: boolean)
+    {
+        this.update_parameters({ naked_singularity: naked_singularity });
+    }
 
 
     //---------------------- Methods -----------------------
 
 
     /**
-     * Allows updating all the calculated parameters of a central body
-     * if one of the primordial parameters is modified.
+     * Modifies primordial parameters or constants and updates all the calculated
+     * parameters. Nothing is modified if the result has no horizon while
+     * naked_singularity is false. Without argument, only the calculated
+     * parameters are updated.
+     * @param changes new values of the primordial parameters and constants
      */
-    public update_parameters(): void
+    public update_parameters(changes: {
+        mass?: number,
+        radius?: number,
+        angular_m?: number,
+        charge?: number,
+        c?: number,
+        G?: number,
+        epsilon_0?: number,
+        naked_singularity?: boolean
+    } = {}): void
     {
-        this._R_s = 2*G*this._mass / c**2;
+        let value = <T>(change: T, current: T) => (change === undefined) ? current : change;
+        let mass = value(changes.mass, this._mass);
+        let surface = value(changes.radius, this._surface);
+        let angular_m = value(changes.angular_m, this._angular_m);
+        let charge = value(changes.charge, this._charge);
+        let c = value(changes.c, this._c);
+        let G = value(changes.G, this._G);
+        let epsilon_0 = value(changes.epsilon_0, this._epsilon_0);
+        let naked_singularity = value(changes.naked_singularity, this._naked_singularity);
+
+        let R_s = 2*G*mass / c**2;
+        let R_Q = Math.sqrt(G * charge**2 / (4 * Math.PI * epsilon_0)) / c**2;
+        let a = (angular_m === 0) ? 0 : angular_m / (c * mass);
+
+        /* If the angular momentum or the charge is not null, the Kerr-Newman
+        metric (Kerr without charge, Reissner-Nordstrom without angular momentum)
+        is used and it needs new calculated parameters. The horizons are the
+        roots of r² - R_s r + a² + R_Q², R_hp = R_s and R_hm = 0 without them. */
+
+        let discriminant = R_s**2 - 4 * (a**2 + R_Q**2);
+
+        if (discriminant < 0 && !naked_singularity)
+        {
+            throw new Error("The central body has no horizon, R_s² < 4 (a² + R_Q²): "
+            + "its angular momentum or its charge is too high for its mass. "
+            + "Set naked_singularity to true to simulate it.");
+        }
 
-        if (this._angular_m === 0)
+        this._mass = mass;
+        this._surface = surface;
+        this._angular_m = angular_m;
+        this._charge = charge;
+        this._c = c;
+        this._G = G;
+        this._epsilon_0 = epsilon_0;
+        this._naked_singularity = naked_singularity;
+        this._R_s = R_s;
+        this._R_Q = R_Q;
+        this._a = a;
+
+        if (discriminant >= 0)
         {
-            this._a = 0;
-            this._R_hp = this._R_s;
-            this._R_hm = 0;
+            this._R_hp = (R_s + Math.sqrt(discriminant)) / 2;
+            this._R_hm = (R_s - Math.sqrt(discriminant)) / 2;
         }
         else
         {
-            this._a = this._angular_m / (c * this._mass);
-            this._R_hp = (this._R_s
-                + Math.sqrt(this._R_s**2 - 4 * this._a**2)) / 2;
-            this._R_hm = (this._R_s
-                - Math.sqrt(this._R_s**2 - 4 * this._a**2)) / 2;
+            this._R_hp = 0;
+            this._R_hm = 0;
         }
+
+        this._radius = (surface <= R_s) ? 0 : surface;
     }
 
 
@@ -3,27 +3,35 @@
  * 
  * This class is used to describe the different objects about which 
  * we are calculating the trajectory.
+ * The velocity of a photon is the c of its simulation, given by
+ * Simulation_trajectory.add_mobile.
  * 
  * @param id
  * @param is_photon
  * @param r
  * @param phi
+ * @param theta
  * @param v_r
  * @param v_phi
+ * @param v_theta
  * @param v_norm
  * @param v_alpha
+ * @param v_beta
  * @param U_r
  * @param U_phi
+ * @param U_theta
  * @param L
  * @param E
+ * @param Q
  * @param dtau
  * @param clock_a
  * @param clock_do
+ * @param normalization_drift
+ * @param max_normalization_drift
+ * @param stopped
+ * @param reference_frame
 */
 
-import {c} from "./../../../constants.js"
-
-
 export class Mobile
 {
 
@@ -31,12 +39,18 @@ export class Mobile
     private _is_photon: boolean;
     private _r: number;             // Radial coordinate
     private _phi: number;           // Angular coordinate
+    // Polar angle, pi/2 in the equatorial plane. Only the Kerr metric uses
+    // theta and v_beta, Schwarzschild orbits are computed in their own plane.
+    private _theta: number;
     private _v_r: number;           // Physical speed radial component
     private _v_phi: number;         // Physical speed tangential component
+    private _v_theta: number;       // Physical speed polar component (northward)
     private _v_norm: number         // Physical speed norm
     private _v_alpha: number;       // Physical speed starting angle
+    private _v_beta: number;        // Physical speed starting inclination
     private _U_r: number;           // dr
     private _U_phi: number;         // dphi
+    private _U_theta: number;       // dtheta
     private _dtau: number;          // dtau
 
     // time in the reference frame where the mobile is motionless
@@ -50,6 +64,21 @@ export class Mobile
     the initial conditions. */
     private _L: number;
     private _E: number;
+    // Carter constant, only used by the Kerr metric outside the equatorial plane
+    private _Q: number;
+
+    /* Conservation monitor, see Simulation_trajectory.monitor_conservation.
+    Relative error on the normalization condition of the 4-velocity after the
+    last step, and its largest absolute value since the beginning. */
+    private _normalization_drift: number;
+    private _max_normalization_drift: number;
+
+    // Stopped by a collision or at the singularity, see Simulation_trajectory.mobile_step
+    private _stopped: boolean;
+
+    /* Own reference frame of the mobile, see Trajectory_scenario. When undefined,
+    the frame given to the methods of the simulation is used. */
+    private _reference_frame: "A" | "DO" | undefined;
 
 
     //-------------------- Constructor ---------------------
@@ -61,22 +90,31 @@ export class Mobile
         r: number,
         phi: number,
         v_r: number,
-        v_alpha: number
+        v_alpha: number,
+        theta: number = 90,
+        v_beta: number = 0
     ) {
         this._id = id;
         this._is_photon = is_photon;
         this._r = r;
         this._phi = phi * Math.PI/180;
+        this._theta = theta * Math.PI/180;
         this._L = 0;
         this._E = 0;
+        this._Q = 0;
         this._v_r = v_r;
         this._v_alpha = v_alpha * Math.PI/180;
-        this._v_phi = v_r * Math.sin(this.v_alpha);
+        this._v_beta = v_beta * Math.PI/180;
+        this._v_phi = v_r * Math.sin(this.v_alpha) * Math.cos(this.v_beta);
+        this._v_theta = v_r * Math.sin(this.v_alpha) * Math.sin(this.v_beta);
+        this._U_theta = 0;
         this._v_norm = (v_r**2 + this.v_phi**2)**.5
         this._clock_a = 0;
         this._clock_do = 0;
-
-        if (is_photon) { this._v_r = c; this._v_norm = c; }
+        this._normalization_drift = 0;
+        this._max_normalization_drift = 0;
+        this._stopped = false;
+        this._reference_frame = undefined;
     }
 
 
@@ -110,6 +148,12 @@ export class Mobile
     public set phi(phi: number) { this._phi = phi; }
 
 
+    // Coordinate theta
+    public get theta() { return this._theta; }
+
+    public set theta(theta: number) { this._theta = theta; }
+
+
     // Physical velocity radius
     public get v_r() { return this._v_r; }
 
@@ -121,6 +165,12 @@ export class Mobile
 
     public set v_phi(v_phi: number) { this._v_phi = v_phi; }
 
+
+    // Physical speed polar
+    public get v_theta() { return this._v_theta; }
+
+    public set v_theta(v_theta: number) { this._v_theta = v_theta; }
+
     
     // Physical velocity starting angle
     public get v_alpha() { return this._v_alpha; }
@@ -128,6 +178,12 @@ export class Mobile
     public set v_alpha(v_alpha: number) { this._v_alpha = v_alpha; }
 
 
+    // Physical velocity starting inclination, towards the north pole
+    public get v_beta() { return this._v_beta; }
+
+    public set v_beta(v_beta: number) { this._v_beta = v_beta; }
+
+
     // Physical velocity norm
     public get v_norm() { return this._v_norm; }
 
@@ -146,6 +202,12 @@ export class Mobile
     public set U_phi(U_phi: number) { this._U_phi = U_phi; }
 
 
+    // dtheta
+    public get U_theta() { return this._U_theta; }
+
+    public set U_theta(U_theta: number) { this._U_theta = U_theta; }
+
+
     // Integration constants
     public get L() { return this._L; }
  
@@ -157,6 +219,11 @@ export class Mobile
     public set E(E: number) { this._E = E; }
 
 
+    public get Q() { return this._Q; }
+
+    public set Q(Q: number) { this._Q = Q; }
+
+
     // dtau
     public get dtau() { return this._dtau; }
 
@@ -177,4 +244,36 @@ export class Mobile
 
     public set clock_do(clock_do: number) { this._clock_do = clock_do; }
 
+
+    // Conservation monitor
+    public get normalization_drift() { return this._normalization_drift; }
+
+    public set normalization_drift(normalization_drift: number)
+    {
+        this._normalization_drift = normalization_drift;
+    }
+
+
+    public get max_normalization_drift() { return this._max_normalization_drift; }
+
+    public set max_normalization_drift(max_normalization_drift: number)
+    {
+        this._max_normalization_drift = max_normalization_drift;
+    }
+
+
+    // Stopped
+    public get stopped() { return this._stopped; }
+
+    public set stopped(stopped: boolean) { this._stopped = stopped; }
+
+
+    // Reference frame
+    public get reference_frame() { return this._reference_frame; }
+
+    public set reference_frame(reference_frame: "A" | "DO" | undefined)
+    {
+        this._reference_frame = reference_frame;
+    }
+
 }
\ No newline at end of file
@@ -3,16 +3,34 @@
  * No inheritance
  * 
  * @param id
+ * @param integrator "RK4" fixed step Runge-Kutta, "RK45" adaptive Dormand-Prince,
+ * "GL4" fixed step Gauss-Legendre (implicit and symplectic)
+ * @param tolerance error tolerance of the adaptive integrator
  * 
  * @method runge_kutta_equation_order1
  * @method runge_kutta_equation_order2
+ * @method runge_kutta_system
+ * @method dormand_prince_step
+ * @method dormand_prince_equation_order1
+ * @method dormand_prince_equation_order2
+ * @method dormand_prince_grid
+ * @method gauss_legendre_step
+ * @method gauss_legendre_equation_order1
+ * @method gauss_legendre_equation_order2
+ * @method solve_equation_order1
+ * @method solve_equation_order2
+ * @method solve_system
+ * @method dormand_prince_system
  * @method simpson
+ * @method cumulative_simpson
  */
 
 export abstract class Simulation
 {
 
 	readonly _id: string;
+	private _integrator: "RK4" | "RK45" | "GL4" = "RK4";
+	private _tolerance: number = 1e-10;
 
 
 	//-------------------- Constructor ---------------------
@@ -25,7 +43,23 @@ export abstract class Simulation
 
 
 	public get id() { return this._id; }
-	
+
+
+	public get integrator() { return this._integrator; }
+
+	public set integrator(integrator: "RK4" | "RK45" | "GL4") { this._integrator = integrator; }
+
+
+	public get tolerance() { return this._tolerance; }
+
+	public set tolerance(tolerance: number)
+	{
+		if (!(tolerance > 0)) {
+			throw new Error("The tolerance of the integrator must be strictly positive");
+		}
+		this._tolerance = tolerance;
+	}
+
 
 	//---------------------- Methods -----------------------
 
@@ -38,6 +72,9 @@ export abstract class Simulation
 	 * @param y_0 initial value of y
 	 * @param funct function or method that define the equation to resolve
 	 * @returns [x_1, y_1], value of the next point of computation
+	 *
+	 * Note: funct is called with the simulation as this, so methods can be
+	 * passed directly without binding them.
 	 */
 	protected runge_kutta_equation_order1(
 		object: any,
@@ -47,10 +84,10 @@ export abstract class Simulation
 		funct: (object: any, x: number, y: number) => number
 	): number[]
 	{
-		let k_1 = funct(object, x_0, y_0);
-		let k_2 = funct(object, x_0 + step/2, y_0 + step/2 * k_1);
-		let k_3 = funct(object, x_0 + step/2, y_0 + step/2 * k_2);
-		let k_4 = funct(object, x_0 + step, y_0 + step * k_3);
+		let k_1 = funct.call(this, object, x_0, y_0);
+		let k_2 = funct.call(this, object, x_0 + step/2, y_0 + step/2 * k_1);
+		let k_3 = funct.call(this, object, x_0 + step/2, y_0 + step/2 * k_2);
+		let k_4 = funct.call(this, object, x_0 + step, y_0 + step * k_3);
 
 		let x_1 = x_0 + step;
 		let y_1 = y_0 + step * ((1/6)*k_1 + (1/3)*k_2 + (1/3)*k_3 + (1/6)*k_4);
@@ -68,6 +105,9 @@ export abstract class Simulation
 	 * @param dy_0 Initial value of the derivative of y
 	 * @param funct Function or method that define the equation to resolve
 	 * @returns [x_1, y_1, yp_1], value of the next point of computation
+	 *
+	 * Note: funct is called with the simulation as this, so methods can be
+	 * passed directly without binding them.
 	 */
 	protected runge_kutta_equation_order2(
 		object: any,
@@ -78,10 +118,10 @@ export abstract class Simulation
 		funct: (object: any, x: number, y: number, dy: number) => number
 	): number[]
 	{
-		let k_1 = funct(object, x_0, y_0, dy_0);
-		let k_2 = funct(object, x_0 + step/2, y_0 + step/2 * dy_0, dy_0 + step/2 * k_1);
-		let k_3 = funct(object, x_0 + step/2, y_0 + step/2 * dy_0 + step**2/4 * k_1, dy_0 + step/2 * k_2);
-		let k_4 = funct(object, x_0 + step, y_0 + step * dy_0 + step**2/2 * k_2, dy_0 + step * k_3);
+		let k_1 = funct.call(this, object, x_0, y_0, dy_0);
+		let k_2 = funct.call(this, object, x_0 + step/2, y_0 + step/2 * dy_0, dy_0 + step/2 * k_1);
+		let k_3 = funct.call(this, object, x_0 + step/2, y_0 + step/2 * dy_0 + step**2/4 * k_1, dy_0 + step/2 * k_2);
+		let k_4 = funct.call(this, object, x_0 + step, y_0 + step * dy_0 + step**2/2 * k_2, dy_0 + step * k_3);
 
 		let x_1 = x_0 + step;
 		let y_1 = y_0 + step * dy_0 + step**2/6 * (k_1 + k_2 + k_3);
@@ -91,13 +131,464 @@ export abstract class Simulation
 	}
 
 
+	/**
+	 * Fourth order Runge-Kutta method for a system of first order equations.
+	 * @param object
+	 * @param step Step of computation
+	 * @param x_0 Initial value of x
+	 * @param y_0 Initial values of the components
+	 * @param funct Function or method that returns the derivatives of the components
+	 * @returns values of the components at x_0 + step
+	 */
+	protected runge_kutta_system(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (object: any, x: number, y: number[]) => number[]
+	): number[]
+	{
+		let shift = (k: number[], h: number) => y_0.map((y, i) => y + h * k[i]);
+
+		let k_1 = funct.call(this, object, x_0, y_0);
+		let k_2 = funct.call(this, object, x_0 + step/2, shift(k_1, step/2));
+		let k_3 = funct.call(this, object, x_0 + step/2, shift(k_2, step/2));
+		let k_4 = funct.call(this, object, x_0 + step, shift(k_3, step));
+
+		return y_0.map((y, i) => y + step/6 * (k_1[i] + 2*k_2[i] + 2*k_3[i] + k_4[i]));
+	}
+
+
+	/**
+	 * One step of the embedded Runge-Kutta method of Dormand and Prince, order 5(4),
+	 * for a system of first order equations. The step is repeated with a smaller
+	 * step until the estimated error is lower than the tolerance.
+	 * Coefficients: Hairer, Norsett, Wanner, Solving Ordinary Differential Equations I.
+	 *
+	 * The error of each component is compared to tolerance * (1 + |y|), which is a
+	 * relative error for large values and an absolute error near 0.
+	 *
+	 * @param object
+	 * @param step Step to try first, can be negative
+	 * @param x_0 Initial value of x
+	 * @param y_0 Initial values of the components
+	 * @param funct Function or method that returns the derivatives of the components
+	 * @param tolerance
+	 * @returns x_1, y_1 the accepted point, next_step the step advised for the next call
+	 * and interpolate the dense output, giving y for any x between x_0 and x_1.
+	 */
+	protected dormand_prince_step(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (object: any, x: number, y: number[]) => number[],
+		tolerance: number = this.tolerance
+	) {
+		let n = y_0.length;
+		let combine = (h: number, k: number[][], coefficients: number[]) =>
+			y_0.map((y, i) => y + h * coefficients.reduce((sum, a, j) => sum + a * k[j][i], 0));
+
+		let k_1 = funct.call(this, object, x_0, y_0);
+
+		for (let attempt = 0; attempt < 100; attempt++)
+		{
+			let h = step;
+			let k = [k_1];
+			k.push(funct.call(this, object, x_0 + h/5, combine(h, k, [1/5])));
+			k.push(funct.call(this, object, x_0 + 3*h/10, combine(h, k, [3/40, 9/40])));
+			k.push(funct.call(this, object, x_0 + 4*h/5, combine(h, k, [44/45, -56/15, 32/9])));
+			k.push(funct.call(this, object, x_0 + 8*h/9, combine(h, k,
+				[19372/6561, -25360/2187, 64448/6561, -212/729])));
+			k.push(funct.call(this, object, x_0 + h, combine(h, k,
+				[9017/3168, -355/33, 46732/5247, 49/176, -5103/18656])));
+			let y_1 = combine(h, k, [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]);
+			k.push(funct.call(this, object, x_0 + h, y_1));
+
+			// Difference between the orders 5 and 4 solutions
+			let error = 0;
+			for (let i = 0; i < n; i++)
+			{
+				let delta = h * (71/57600 * k[0][i] - 71/16695 * k[2][i] + 71/1920 * k[3][i]
+					- 17253/339200 * k[4][i] + 22/525 * k[5][i] - 1/40 * k[6][i]);
+				let scale = tolerance * (1 + Math.max(Math.abs(y_0[i]), Math.abs(y_1[i])));
+				error = Math.max(error, Math.abs(delta) / scale);
+			}
+
+			let factor = error === 0 ? 5 : Math.min(5, Math.max(.2, .9 * error**(-1/5)));
+
+			if (error <= 1 && y_1.every(isFinite))
+			{
+				let x_1 = x_0 + h;
+				let dense = [
+					-12715105075/11282082432, 0, 87487479700/32700410799,
+					-10690763975/1880347072, 701980252875/199316789632,
+					-1453857185/822651844, 69997945/29380423
+				];
+				let interpolate = (x: number) =>
+				{
+					let theta = (x - x_0) / h;
+					let theta_1 = 1 - theta;
+					return y_0.map((y, i) =>
+					{
+						let difference = y_1[i] - y;
+						let b = h * k[0][i] - difference;
+						let c = difference - h * k[6][i] - b;
+						let d = h * dense.reduce((sum, a, j) => sum + a * k[j][i], 0);
+						return y + theta * (difference + theta_1 * (b + theta * (c + theta_1 * d)));
+					});
+				};
+
+				return {
+					x_1: x_1,
+					y_1: y_1,
+					next_step: h * factor,
+					interpolate: interpolate
+				};
+			}
+
+			step = h * (isFinite(error) ? Math.min(factor, .9) : .2);
+
+			if (x_0 + step === x_0) {
+				break;
+			}
+		}
+		throw new Error("Step size underflow in the Dormand-Prince method at x = " + x_0);
+	}
+
+
+	/**
+	 * Adaptive Dormand-Prince method for first order derivatives.
+	 * The interval [x_0, x_0 + step] is covered by as many steps as needed by the
+	 * tolerance, so the result can be used in place of runge_kutta_equation_order1.
+	 * @param object
+	 * @param step Length of the interval of computation
+	 * @param x_0 Initial value of x
+	 * @param y_0 Initial value of y
+	 * @param funct Function or method that define the equation to resolve
+	 * @returns [x_1, y_1], value of the next point of computation
+	 */
+	protected dormand_prince_equation_order1(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number,
+		funct: (object: any, x: number, y: number) => number
+	): number[]
+	{
+		let system = (object: any, x: number, y: number[]) =>
+			[funct.call(this, object, x, y[0])];
+
+		let y = this.dormand_prince_system(object, step, x_0, [y_0], system);
+		return [x_0 + step, y[0]];
+	}
+
+
+	/**
+	 * Adaptive Dormand-Prince method for second order derivatives.
+	 * The interval [x_0, x_0 + step] is covered by as many steps as needed by the
+	 * tolerance, so the result can be used in place of runge_kutta_equation_order2.
+	 * @param object
+	 * @param step Length of the interval of computation
+	 * @param x_0 Initial value of x
+	 * @param y_0 Initial value of y
+	 * @param dy_0 Initial value of the derivative of y
+	 * @param funct Function or method that define the equation to resolve
+	 * @returns [x_1, y_1, yp_1], value of the next point of computation
+	 */
+	protected dormand_prince_equation_order2(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number,
+		dy_0: number,
+		funct: (object: any, x: number, y: number, dy: number) => number
+	): number[]
+	{
+		let system = (object: any, x: number, y: number[]) =>
+			[y[1], funct.call(this, object, x, y[0], y[1])];
+
+		let y = this.dormand_prince_system(object, step, x_0, [y_0, dy_0], system);
+		return [x_0 + step, y[0], y[1]];
+	}
+
+
+	/**
+	 * Adaptive Dormand-Prince method giving the solution on the regular grid
+	 * x_0 + i * step thanks to the dense output, whatever the steps really taken.
+	 * The computation stops after the first point of the grid where is_inside is false.
+	 * @param object
+	 * @param step Step of the grid, can be negative
+	 * @param x_0 Initial value of x
+	 * @param y_0 Initial values of the components
+	 * @param funct Function or method that returns the derivatives of the components
+	 * @param is_inside Condition for the computation to go on
+	 * @returns x: number[], y: number[][] the points of the grid
+	 */
+	protected dormand_prince_grid(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (object: any, x: number, y: number[]) => number[],
+		is_inside: (x: number, y: number[]) => boolean
+	) {
+		let x: number[] = [x_0];
+		let y: number[][] = [y_0];
+		let x_current = x_0;
+		let y_current = y_0;
+		let trial_step = step;
+
+		while (is_inside(x[x.length - 1], y[y.length - 1]))
+		{
+			let result: ReturnType<Simulation["dormand_prince_step"]>;
+			try {
+				result = this.dormand_prince_step(object, trial_step, x_current, y_current, funct);
+			} catch (e) {
+				// Singularity of the equation, the solution stops there.
+				break;
+			}
+
+			let i = x.length;
+			while ((x_0 + i * step - result.x_1) * Math.sign(step) <= 0
+				&& is_inside(x[x.length - 1], y[y.length - 1]))
+			{
+				x.push(x_0 + i * step);
+				y.push(result.interpolate(x_0 + i * step));
+				i++;
+			}
+
+			x_current = result.x_1;
+			y_current = result.y_1;
+			trial_step = result.next_step;
+		}
+
+		return {
+			x: x,
+			y: y
+		};
+	}
+
+
+	/**
+	 * One step of the two stages Gauss-Legendre method (order 4) for a system of
+	 * first order equations. This implicit method is symplectic, so the energy of
+	 * a conservative system does not drift over long computations, unlike with
+	 * the explicit Runge-Kutta methods. The stages are computed by fixed point
+	 * iterations until their relative change is lower than the tolerance, an
+	 * error is thrown if they do not converge in 100 iterations.
+	 * Note: the conservation is only guaranteed with a constant step.
+	 * @param object
+	 * @param step The step of computation
+	 * @param x_0 Initial value of x
+	 * @param y_0 Initial values of the components
+	 * @param funct Function or method that returns the derivatives of the components
+	 * @returns values of the components at x_0 + step
+	 */
+	protected gauss_legendre_step(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (object: any, x: number, y: number[]) => number[]
+	): number[]
+	{
+		let c_1 = 1/2 - Math.sqrt(3)/6;
+		let c_2 = 1/2 + Math.sqrt(3)/6;
+		let a_12 = 1/4 - Math.sqrt(3)/6;
+		let a_21 = 1/4 + Math.sqrt(3)/6;
+
+		let k_1 = funct.call(this, object, x_0, y_0);
+		let k_2 = k_1;
+
+		for (let iteration = 0; iteration < 100; iteration++)
+		{
+			let new_k_1: number[] = funct.call(this, object, x_0 + c_1 * step,
+				y_0.map((y, i) => y + step * (k_1[i] / 4 + a_12 * k_2[i])));
+			let new_k_2: number[] = funct.call(this, object, x_0 + c_2 * step,
+				y_0.map((y, i) => y + step * (a_21 * new_k_1[i] + k_2[i] / 4)));
+
+			let change = 0;
+			for (let i = 0; i < y_0.length; i++)
+			{
+				let scale = Math.abs(step) * (Math.abs(new_k_1[i]) + Math.abs(new_k_2[i]))
+					+ Math.abs(y_0[i]) + 1;
+				change = Math.max(change, Math.abs(step)
+					* (Math.abs(new_k_1[i] - k_1[i]) + Math.abs(new_k_2[i] - k_2[i])) / scale);
+			}
+			k_1 = new_k_1;
+			k_2 = new_k_2;
+
+			if (change <= this.tolerance)
+			{
+				return y_0.map((y, i) => y + step * (k_1[i] + k_2[i]) / 2);
+			}
+		}
+
+		throw new Error("No convergence of the Gauss-Legendre method at x = " + x_0
+			+ ", the step is too large");
+	}
+
+
+	/**
+	 * Gauss-Legendre method for first order derivatives.
+	 * See runge_kutta_equation_order1 for the parameters.
+	 * @returns [x_1, y_1], value of the next point of computation
+	 */
+	protected gauss_legendre_equation_order1(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number,
+		funct: (object: any, x: number, y: number) => number
+	): number[]
+	{
+		let system = (object: any, x: number, y: number[]) =>
+			[funct.call(this, object, x, y[0])];
+
+		let y = this.gauss_legendre_step(object, step, x_0, [y_0], system);
+		return [x_0 + step, y[0]];
+	}
+
+
+	/**
+	 * Gauss-Legendre method for second order derivatives.
+	 * See runge_kutta_equation_order2 for the parameters.
+	 * @returns [x_1, y_1, yp_1], value of the next point of computation
+	 */
+	protected gauss_legendre_equation_order2(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number,
+		dy_0: number,
+		funct: (object: any, x: number, y: number, dy: number) => number
+	): number[]
+	{
+		let system = (object: any, x: number, y: number[]) =>
+			[y[1], funct.call(this, object, x, y[0], y[1])];
+
+		let y = this.gauss_legendre_step(object, step, x_0, [y_0, dy_0], system);
+		return [x_0 + step, y[0], y[1]];
+	}
+
+
+	/**
+	 * Fourth order Runge-Kutta method, adaptive Dormand-Prince method or
+	 * Gauss-Legendre method for first order derivatives, depending on the integrator.
+	 * See runge_kutta_equation_order1 for the parameters.
+	 * @returns [x_1, y_1], value of the next point of computation
+	 */
+	protected solve_equation_order1(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number,
+		funct: (object: any, x: number, y: number) => number
+	): number[]
+	{
+		if (this.integrator === "RK45") {
+			return this.dormand_prince_equation_order1(object, step, x_0, y_0, funct);
+		}
+		else if (this.integrator === "GL4") {
+			return this.gauss_legendre_equation_order1(object, step, x_0, y_0, funct);
+		}
+		return this.runge_kutta_equation_order1(object, step, x_0, y_0, funct);
+	}
+
+
+	/**
+	 * Fourth order Runge-Kutta method, adaptive Dormand-Prince method or
+	 * Gauss-Legendre method for second order derivatives, depending on the integrator.
+	 * See runge_kutta_equation_order2 for the parameters.
+	 * @returns [x_1, y_1, yp_1], value of the next point of computation
+	 */
+	protected solve_equation_order2(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number,
+		dy_0: number,
+		funct: (object: any, x: number, y: number, dy: number) => number
+	): number[]
+	{
+		if (this.integrator === "RK45") {
+			return this.dormand_prince_equation_order2(object, step, x_0, y_0, dy_0, funct);
+		}
+		else if (this.integrator === "GL4") {
+			return this.gauss_legendre_equation_order2(object, step, x_0, y_0, dy_0, funct);
+		}
+		return this.runge_kutta_equation_order2(object, step, x_0, y_0, dy_0, funct);
+	}
+
+
+	/**
+	 * Fourth order Runge-Kutta method, adaptive Dormand-Prince method or
+	 * Gauss-Legendre method for a system of first order equations,
+	 * depending on the integrator. See runge_kutta_system for the parameters.
+	 * @returns values of the components at x_0 + step
+	 */
+	protected solve_system(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (object: any, x: number, y: number[]) => number[]
+	): number[]
+	{
+		if (this.integrator === "RK45") {
+			return this.dormand_prince_system(object, step, x_0, y_0, funct);
+		}
+		else if (this.integrator === "GL4") {
+			return this.gauss_legendre_step(object, step, x_0, y_0, funct);
+		}
+		return this.runge_kutta_system(object, step, x_0, y_0, funct);
+	}
+
+
+	/**
+	 * Covers the interval [x_0, x_0 + step] with accepted Dormand-Prince steps,
+	 * the last one being shortened to end exactly on x_0 + step.
+	 * @returns values of the components at x_0 + step
+	 */
+	protected dormand_prince_system(
+		object: any,
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (object: any, x: number, y: number[]) => number[]
+	): number[]
+	{
+		let x_end = x_0 + step;
+		let x = x_0;
+		let y = y_0;
+		let trial_step = step;
+
+		for (let steps = 0; (x_end - x) * Math.sign(step) > 0; steps++)
+		{
+			if (steps >= 1e5) {
+				throw new Error("Too many steps in the Dormand-Prince method at x = " + x);
+			}
+			if ((x + trial_step - x_end) * Math.sign(step) > 0) {
+				trial_step = x_end - x;
+			}
+			let result = this.dormand_prince_step(object, trial_step, x, y, funct);
+			// Avoids an extra step of a few ulp because of rounding errors
+			x = Math.abs(x_end - result.x_1) <= Math.abs(step) * 1e-12 ? x_end : result.x_1;
+			y = result.y_1;
+			trial_step = result.next_step;
+		}
+		return y;
+	}
+
+
 	/** 
 	 * Simple Simpson's rule implementation.
 	 * 
 	 * @param funct Function to integrate
 	 * @param infimum
 	 * @param supremum
-	 * @param n Number of computation points.
+	 * @param n Number of sub-intervals, rounded up to an even number.
 	 * @returns Value of the integral.
 	 */
 	protected simpson(
@@ -107,17 +598,18 @@ export abstract class Simulation
 		supremum: number,
 		n: number
 	): number {
+		n = 2 * Math.max(1, Math.ceil(n / 2));
 		let step = (supremum - infimum) / n;
 		let x = [];
 		let y = [];
 
-		for (let i=0; i<n; i++)
+		for (let i=0; i<=n; i++)
 		{  
 			x[i] = infimum + i * step;
-			y[i] = funct(object, x[i]);
+			y[i] = funct.call(this, object, x[i]);
 		}
 		let res = 0;
-		for (let i=0; i<n; i++)
+		for (let i=0; i<=n; i++)
 		{
 			if (i==0 || i==n) {
 				res += y[i];
@@ -131,4 +623,40 @@ export abstract class Simulation
 		}
 		return res * step/3;
 	}
+
+
+	/**
+	 * Composite Simpson's rule giving in one pass the integral from the first point
+	 * to each point of an increasing array.
+	 *
+	 * @param funct Function to integrate
+	 * @param x Increasing points
+	 * @param n Number of sub-intervals between two consecutive points, rounded up to an even number.
+	 * @returns Values of the integral from x[0] to each x[i].
+	 */
+	protected cumulative_simpson(
+		object: any,
+		funct: (object: any, x: number) => number,
+		x: number[],
+		n: number
+	): number[] {
+		n = 2 * Math.max(1, Math.ceil(n / 2));
+		let result: number[] = [];
+		let res = 0;
+
+		for (let i=0; i<x.length; i++)
+		{
+			if (i > 0 && x[i] !== x[i - 1]) {
+				let step = (x[i] - x[i - 1]) / n;
+				let sum = funct.call(this, object, x[i - 1]) + funct.call(this, object, x[i]);
+				for (let j=1; j<n; j++)
+				{
+					sum += ((j%2 != 0) ? 4 : 2) * funct.call(this, object, x[i - 1] + j * step);
+				}
+				res += sum * step/3;
+			}
+			result.push(res);
+		}
+		return result;
+	}
 }
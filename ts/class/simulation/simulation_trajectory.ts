@@ -1,7 +1,31 @@
 import { Simulation } from "./simulation.js";
 import { Central_body } from "./simulation objects/central_body.js";
 import { Mobile } from "./simulation objects/mobile.js";
-import {c,G} from "./../../constants.js";
+import {c,G,epsilon_0} from "./../../constants.js";
+
+
+/**
+ * Events of a trajectory, emitted by Simulation_trajectory.mobile_step when a
+ * mobile crosses one of the radii given by event_radii during a step:
+ * collision: reaches the surface of a collidable central body and stops
+ * rebound: reaches the surface and is reflected, when rebound is true
+ * horizon, inner_horizon: crosses R_hp or R_hm inward
+ * singularity: reaches r = 0 and stops
+ */
+export type Trajectory_event_type =
+	"collision" | "rebound" | "horizon" | "inner_horizon" | "singularity";
+
+export interface Trajectory_event
+{
+	type: Trajectory_event_type;
+	mobile_id: string;
+	reference_frame: "A" | "DO";
+	// Position and clocks of the mobile at the crossing
+	r: number;
+	phi: number;
+	clock_a: number;
+	clock_do: number;
+}
 
 
 /**
@@ -13,8 +37,40 @@ import {c,G} from "./../../constants.js";
  * @param mobile_list
  * @param c
  * @param G
+ * @param geometric_units
+ * @param conservation_monitor
+ * @param rebound
+ * @param events
  * 
  * @method add_mobile
+ * @method update_constants
+ * @method constants
+ * @method add_event_listener
+ * @method mobile_step
+ * @method mobile_frame
+ * @method free_fall_time
+ * @method step_size
+ * @method monitor_conservation
+ * @method event_radii
+ * @method detect_events
+ * @method effective_potential
+ * @method turning_points
+ * @method orbit_type
+ * @method ray_fan
+ * @method critical_impact_parameter
+ * @method frequency_shift
+ * @method mobile_frequency_ratio
+ * @method cartesian_coordinates
+ * @method mobile_initialization
+ * @method mobile_dtau
+ * @method mobile_trajectory
+ * @method mobile_new_position
+ * @method mobile_velocity
+ * @method mobile_clocks
+ * @method mobile_normalization
+ * @method mobile_potential
+ * @method isco_radius
+ * @method photon_sphere_radius
  */
 
 export abstract class Simulation_trajectory extends Simulation
@@ -25,6 +81,13 @@ export abstract class Simulation_trajectory extends Simulation
 	// Allows the possibility to modify the constants
 	private _c: number = c;
 	private _G: number = G;
+	// Checks the normalization condition after each step when true
+	private _conservation_monitor: boolean = false;
+	// Reflects the mobiles on a collidable central body instead of stopping them
+	private _rebound: boolean = false;
+	// Events emitted since the beginning, see mobile_step
+	private _events: Trajectory_event[] = [];
+	private _event_listeners: ((event: Trajectory_event) => void)[] = [];
 
 
 	//-------------------- Constructor --------------------
@@ -35,14 +98,26 @@ export abstract class Simulation_trajectory extends Simulation
 		collidable: boolean,
 		mass: number,
 		radius: number,
-		angular_m: number
+		angular_m: number,
+		charge: number = 0,
+		geometric_units: boolean = false
 	) {
 		super(id);
+
+		if (geometric_units)
+		{
+			this._c = 1;
+			this._G = 1;
+		}
+
 		this._central_body = new Central_body(
 			collidable,
 			mass,
 			radius,
-			angular_m
+			angular_m,
+			charge,
+			false,
+			this.constants(this._c, this._G)
 		);
 		this._mobile_list = [];
 	}
@@ -59,28 +134,854 @@ export abstract class Simulation_trajectory extends Simulation
 	public get mobile_list() { return this._mobile_list; }
 
 
-	// Constants
+	// Constants, shared with the central body and the photons
 	public get c() { return this._c; }
 
-	public set c(c: number) { this._c = c; }
+	public set c(c: number) { this.update_constants(c, this._G); }
 
 
 	public get G() { return this._G; }
 
-	public set G(G: number) { this._G = G; }
+	public set G(G: number) { this.update_constants(this._c, G); }
+
+
+	// Geometric units, G = c = 1: masses, times and charges are in meters.
+	// Also selectable in the constructor, for a central body given in meters.
+	public get geometric_units() { return this._c === 1 && this._G === 1; }
+
+	public set geometric_units(geometric_units: boolean)
+	{
+		this.update_constants((geometric_units) ? 1 : c, (geometric_units) ? 1 : G);
+	}
+
+
+	// Conservation monitor
+	public get conservation_monitor() { return this._conservation_monitor; }
+
+	public set conservation_monitor(conservation_monitor: boolean)
+	{
+		this._conservation_monitor = conservation_monitor;
+	}
+
+
+	// Rebound
+	public get rebound() { return this._rebound; }
+
+	public set rebound(rebound: boolean) { this._rebound = rebound; }
+
+
+	// Events
+	public get events() { return this._events; }
 
 
 	//---------------------- Methods -----------------------
 
 
 	/**
-	 * Add a new mobile object to the simulation
+	 * Add a new mobile object to the simulation, a photon moving at the c
+	 * of the simulation
 	 * @param mobile
 	 */
 	public add_mobile(mobile: Mobile): void
 	{
 		this.mobile_list.push(mobile);
+
+		if (mobile.is_photon)
+		{
+			mobile.v_r = this.c;
+			mobile.v_norm = this.c;
+		}
+	}
+
+
+	/**
+	 * Gives new constants c and G to the central body, which updates its radii
+	 * (and may reject them, see Central_body.update_parameters), then to the
+	 * simulation and to the photons, which move at c.
+	 * The mobiles have to be initialized again after a change.
+	 * @param c
+	 * @param G
+	 */
+	private update_constants(c: number, G: number): void
+	{
+		this.central_body.update_parameters(this.constants(c, G));
+		this._c = c;
+		this._G = G;
+
+		this.mobile_list.forEach(mobile =>
+		{
+			if (mobile.is_photon)
+			{
+				mobile.v_r = c;
+				mobile.v_norm = c;
+			}
+		});
+	}
+
+
+	/**
+	 * Constants of the central body. In geometric units (G = c = 1), the
+	 * electric constant is 1 / (4 pi) so that R_Q is the charge in meters.
+	 * @param c
+	 * @param G
+	 * @returns c, G and epsilon_0
+	 */
+	private constants(c: number, G: number): { c: number, G: number, epsilon_0: number }
+	{
+		return {
+			c: c,
+			G: G,
+			epsilon_0: (c === 1 && G === 1) ? 1 / (4 * Math.PI) : epsilon_0
+		};
+	}
+
+
+	/**
+	 * The listener is called with each event emitted by mobile_step.
+	 * @param listener
+	 */
+	public add_event_listener(listener: (event: Trajectory_event) => void): void
+	{
+		this._event_listeners.push(listener);
+	}
+
+
+	/**
+	 * Moves a mobile by one step, updates its velocity and clocks, then looks
+	 * for the events of the step (see detect_events). A stopped mobile no
+	 * longer moves.
+	 * @param mobile
+	 * @param step dtau, in the frame of the mobile (see mobile_frame)
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @returns events of the step, also stored in events
+	 */
+	public mobile_step(mobile: Mobile, step: number, reference_frame: "A" | "DO"): Trajectory_event[]
+	{
+		if (mobile.stopped) { return []; }
+
+		reference_frame = this.mobile_frame(mobile, reference_frame);
+
+		let previous = {
+			r: mobile.r,
+			U_r: mobile.U_r,
+			theta: mobile.theta,
+			U_theta: mobile.U_theta,
+			phi: mobile.phi,
+			clock_a: mobile.clock_a,
+			clock_do: mobile.clock_do
+		};
+
+		this.mobile_new_position(mobile, step, reference_frame);
+		this.mobile_velocity(mobile);
+		mobile.dtau = step;
+		this.mobile_clocks(mobile, reference_frame);
+
+		let events = this.detect_events(mobile, previous, step, reference_frame);
+
+		events.forEach(event =>
+		{
+			this._events.push(event);
+			this._event_listeners.forEach(listener => listener(event));
+		});
+
+		return events;
+	}
+
+
+	/**
+	 * Reference frame of a mobile, its own frame if it has one, otherwise the
+	 * frame given to the simulation. mobile_initialization and mobile_dtau
+	 * use it for each mobile.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @returns Astronaut (A), Distant Observer (DO)
+	 */
+	public mobile_frame(mobile: Mobile, reference_frame: "A" | "DO"): "A" | "DO"
+	{
+		return (mobile.reference_frame !== undefined) ? mobile.reference_frame : reference_frame;
+	}
+
+
+	/**
+	 * Free fall time from r to the center of a point mass,
+	 * pi r sqrt(r / (2 G M)) / 2, of the order of the orbital period at r.
+	 * @param r radial coordinate (m)
+	 * @returns free fall time (s)
+	 */
+	public free_fall_time(r: number): number
+	{
+		return Math.PI * r * Math.sqrt(r / (2 * this.G * this.central_body.mass)) / 2;
+	}
+
+
+	/**
+	 * Step of a mobile, used by mobile_dtau.
+	 * With the adaptive integrator (RK45), the step is only the interval between
+	 * two positions of the trajectory, free_fall_time / 500: the Dormand-Prince
+	 * method covers it with the steps needed by the tolerance.
+	 * With a fixed step integrator (RK4, GL4), the step is the time to go over r
+	 * at the velocity of the mobile divided by 1000, at most free_fall_time / 500
+	 * (no bound for a photon of the astronaut frame).
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @param r radial coordinate giving the scale of the step
+	 * @param velocity norm of the velocity, sqrt(U_r² + U_phi²) by default
+	 * @returns dtau
+	 */
+	protected step_size(
+		mobile: Mobile,
+		reference_frame: "A" | "DO",
+		r: number = mobile.r,
+		velocity: number = Math.sqrt(mobile.U_r**2 + mobile.U_phi**2)
+	): number
+	{
+		let free_fall_time = this.free_fall_time(r);
+
+		if (this.integrator === "RK45")
+		{
+			return free_fall_time / 500;
+		}
+		if (mobile.is_photon && this.mobile_frame(mobile, reference_frame) === "A")
+		{
+			return 1e-3 * r / (Math.abs(mobile.U_r) + Math.abs(mobile.U_phi) + 1);
+		}
+
+		let dtau = r / (velocity + ((mobile.is_photon) ? 1 : 1e-20)) / 1000;
+		return Math.min(dtau, free_fall_time / 500);
+	}
+
+
+	/**
+	 * Per step conservation monitor, to be called at the end of mobile_new_position.
+	 * When conservation_monitor is true, stores in the mobile the relative drift of
+	 * the normalization condition and its maximum since the beginning.
+	 * E and L are constants of the motion, so only the integration error makes the
+	 * drift grow.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	protected monitor_conservation(mobile: Mobile, reference_frame: "A" | "DO"): void
+	{
+		if (!this.conservation_monitor) { return; }
+
+		let drift = this.mobile_normalization(mobile, reference_frame);
+		mobile.normalization_drift = drift;
+		mobile.max_normalization_drift = Math.max(
+			mobile.max_normalization_drift,
+			Math.abs(drift)
+		);
+	}
+
+
+	/**
+	 * Radii where a mobile moving inward triggers an event, from the outermost.
+	 * The horizons hidden inside the central body are ignored and the
+	 * singularity is only reached when the central body is a point.
+	 * @returns type and radius of each event
+	 */
+	protected event_radii(): { type: Trajectory_event_type, r: number }[]
+	{
+		let central_body = this.central_body;
+		let radii: { type: Trajectory_event_type, r: number }[] = [];
+
+		if (central_body.R_hp > central_body.radius)
+		{
+			radii.push({ type: "horizon", r: central_body.R_hp });
+		}
+		if (central_body.R_hm > central_body.radius && central_body.R_hm < central_body.R_hp)
+		{
+			radii.push({ type: "inner_horizon", r: central_body.R_hm });
+		}
+		if (central_body.radius > 0 && central_body.collidable)
+		{
+			radii.push({ type: (this.rebound) ? "rebound" : "collision", r: central_body.radius });
+		}
+		if (central_body.radius === 0)
+		{
+			radii.push({ type: "singularity", r: 0 });
+		}
+
+		return radii;
+	}
+
+
+	/**
+	 * Events of the last step of a mobile, each radius of event_radii crossed
+	 * inward. The crossing is located on the cubic Hermite interpolation of r
+	 * given by r and U_r at both ends of the step, the clocks and phi being
+	 * interpolated linearly: clock_a is the proper time of the crossing.
+	 * The mobile is stopped at the surface or at the singularity. A rebound
+	 * reflects it at the crossing (U_r changes sign, theta and U_theta being
+	 * interpolated linearly), then the rest of the step is integrated again
+	 * from the surface, so that E and L keep their values.
+	 * The ring singularity of a rotating central body is only reached on the
+	 * equatorial plane.
+	 * For a distant observer (DO), a mobile reaches the horizon at an infinite
+	 * clock_do: a step that crosses it is cancelled and the mobile is stopped
+	 * just outside, the horizon event having an infinite clock_do. The inner
+	 * horizon and the singularity are never reached in this frame.
+	 * @param mobile
+	 * @param previous state of the mobile before the step
+	 * @param step dtau
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @returns events of the step, in the order of the crossings
+	 */
+	protected detect_events(
+		mobile: Mobile,
+		previous: {
+			r: number, U_r: number, theta: number, U_theta: number,
+			phi: number, clock_a: number, clock_do: number
+		},
+		step: number,
+		reference_frame: "A" | "DO"
+	): Trajectory_event[]
+	{
+		let events: Trajectory_event[] = [];
+		let r_1 = (Number.isFinite(mobile.r)) ? mobile.r : -Infinity;
+		let U_r_1 = (Number.isFinite(mobile.U_r)) ? mobile.U_r : previous.U_r;
+		let interpolate = (x_0: number, x_1: number, fraction: number) =>
+			(Number.isFinite(x_1)) ? x_0 + fraction * (x_1 - x_0) : x_1;
+
+		for (let radius of this.event_radii())
+		{
+			if (!(previous.r >= radius.r && r_1 < radius.r)) { continue; }
+			if (reference_frame === "DO"
+				&& (radius.type === "inner_horizon" || radius.type === "singularity")) { continue; }
+			if (radius.type === "singularity" && this.central_body.a !== 0
+				&& Math.abs(Math.cos(mobile.theta)) > 1e-6) { continue; }
+
+			// Bisection on the Hermite polynomial, r(0) >= radius > r(1)
+			let hermite = (s: number) => (2*s**3 - 3*s**2 + 1) * previous.r
+				+ (s**3 - 2*s**2 + s) * step * previous.U_r
+				+ (-2*s**3 + 3*s**2) * r_1
+				+ (s**3 - s**2) * step * U_r_1;
+			let fraction = 1;
+
+			if (Number.isFinite(mobile.r))
+			{
+				let s_min = 0;
+				let s_max = 1;
+
+				for (let i = 0; i < 60; i++)
+				{
+					fraction = (s_min + s_max) / 2;
+					if (hermite(fraction) >= radius.r) { s_min = fraction; }
+					else { s_max = fraction; }
+				}
+			}
+			else if (previous.U_r < 0)
+			{
+				fraction = Math.min(-(previous.r - radius.r) / (previous.U_r * step), 1);
+			}
+
+			let event: Trajectory_event = {
+				type: radius.type,
+				mobile_id: mobile.id,
+				reference_frame: reference_frame,
+				r: radius.r,
+				phi: interpolate(previous.phi, mobile.phi, fraction),
+				clock_a: interpolate(previous.clock_a, mobile.clock_a, fraction),
+				clock_do: interpolate(previous.clock_do, mobile.clock_do, fraction)
+			};
+			if (radius.type === "horizon" && reference_frame === "DO")
+			{
+				event.clock_do = Infinity;
+				events.push(event);
+
+				mobile.r = previous.r;
+				mobile.U_r = previous.U_r;
+				mobile.theta = previous.theta;
+				mobile.U_theta = previous.U_theta;
+				mobile.phi = previous.phi;
+				mobile.clock_a = previous.clock_a;
+				mobile.clock_do = Infinity;
+				this.mobile_velocity(mobile);
+				mobile.stopped = true;
+				break;
+			}
+
+			events.push(event);
+
+			if (radius.type === "rebound")
+			{
+				// Impact state, U_r being the derivative of the Hermite polynomial
+				let U_r = ((6*fraction**2 - 6*fraction) * previous.r
+					+ (3*fraction**2 - 4*fraction + 1) * step * previous.U_r
+					+ (-6*fraction**2 + 6*fraction) * r_1
+					+ (3*fraction**2 - 2*fraction) * step * U_r_1) / step;
+
+				mobile.r = radius.r;
+				mobile.U_r = -U_r;
+				mobile.theta = interpolate(previous.theta, mobile.theta, fraction);
+				mobile.U_theta = interpolate(previous.U_theta, mobile.U_theta, fraction);
+				mobile.phi = event.phi;
+				mobile.clock_a = event.clock_a;
+				mobile.clock_do = event.clock_do;
+
+				// Rest of the step from the surface
+				this.mobile_new_position(mobile, (1 - fraction) * step, reference_frame);
+				this.mobile_velocity(mobile);
+				mobile.dtau = (1 - fraction) * step;
+				this.mobile_clocks(mobile, reference_frame);
+				mobile.dtau = step;
+				break;
+			}
+			if (radius.type === "collision" || radius.type === "singularity")
+			{
+				mobile.r = event.r;
+				mobile.phi = event.phi;
+				mobile.clock_a = event.clock_a;
+				mobile.clock_do = event.clock_do;
+				mobile.stopped = true;
+				break;
+			}
+		}
+
+		return events;
+	}
+
+
+	/**
+	 * Samples the effective potential for an astronaut V(r) (divided by c²) of
+	 * an initialized mobile, to be compared with E²: the mobile can only be where
+	 * E² >= V(r) and its radial motion turns back where E² = V(r).
+	 * @param mobile
+	 * @param r_min
+	 * @param r_max
+	 * @param n number of computation points
+	 * @returns r: number[], potential: number[], energy: E², turning_points in
+	 * [r_min, r_max], horizon, isco and photon_sphere radii (for the direction of
+	 * the mobile around a rotating body) and the orbit type, see orbit_type.
+	 */
+	public effective_potential(mobile: Mobile, r_min: number, r_max: number, n: number = 1000)
+	{
+		let r_0 = mobile.r;
+		let r: number[] = [];
+		let potential: number[] = [];
+		let prograde = mobile.L * this.central_body.a >= 0;
+
+		for (let i = 0; i < n; i++)
+		{
+			mobile.r = r_min + i * (r_max - r_min) / (n - 1);
+			r.push(mobile.r);
+			potential.push(this.mobile_potential(mobile));
+		}
+		mobile.r = r_0;
+
+		return {
+			r: r,
+			potential: potential,
+			energy: mobile.E**2,
+			turning_points: this.turning_points(mobile, r_min, r_max),
+			horizon: this.central_body.R_hp,
+			isco: this.isco_radius(prograde),
+			photon_sphere: this.photon_sphere_radius(prograde),
+			orbit: this.orbit_type(mobile)
+		};
 	}
 
-	
+
+	/**
+	 * Finds the radii where E² = V(r) between r_min and r_max.
+	 * The sign changes are looked for on a geometric grid, then refined by bisection.
+	 * @param mobile
+	 * @param r_min
+	 * @param r_max
+	 * @param n number of points of the grid
+	 * @returns turning points in increasing order
+	 */
+	public turning_points(mobile: Mobile, r_min: number, r_max: number, n: number = 2000): number[]
+	{
+		let r_0 = mobile.r;
+		let energy = mobile.E**2;
+		let kinetic = (r: number) =>
+		{
+			mobile.r = r;
+			return energy - this.mobile_potential(mobile);
+		};
+		let points: number[] = [];
+		r_min = Math.max(r_min, r_max * 1e-12);
+
+		let r_previous = r_min;
+		let k_previous = kinetic(r_min);
+		for (let i = 1; i < n; i++)
+		{
+			let r = r_min * (r_max / r_min)**(i / (n - 1));
+			let k = kinetic(r);
+
+			if (k === 0) {
+				points.push(r);
+			}
+			else if (k_previous * k < 0)
+			{
+				let inf = r_previous;
+				let sup = r;
+				for (let j = 0; j < 60; j++)
+				{
+					let middle = (inf + sup) / 2;
+					if (kinetic(middle) * k_previous > 0) { inf = middle; }
+					else { sup = middle; }
+				}
+				points.push((inf + sup) / 2);
+			}
+			r_previous = r;
+			k_previous = k;
+		}
+		mobile.r = r_0;
+
+		return points;
+	}
+
+
+	/**
+	 * Nature of the radial motion of an initialized mobile, deduced from the
+	 * turning points around its current position:
+	 * - bound: the mobile stays between two radii,
+	 * - plunging: nothing stops the mobile before the horizon or the surface,
+	 * - escaping: nothing stops the mobile on its way to infinity.
+	 * When both directions are free, the sign of U_r decides.
+	 * @param mobile
+	 * @returns "bound" | "plunging" | "escaping"
+	 */
+	public orbit_type(mobile: Mobile): "bound" | "plunging" | "escaping"
+	{
+		let r_0 = mobile.r;
+		let r_inner = Math.max(this.central_body.radius, this.central_body.R_hp);
+		let points = this.turning_points(mobile, r_inner * (1 + 1e-9), r_0 * 1e4);
+		let allowed = (r: number) =>
+		{
+			mobile.r = r;
+			let is_allowed = mobile.E**2 - this.mobile_potential(mobile) >= 0;
+			mobile.r = r_0;
+			return is_allowed;
+		};
+
+		let inner_side = allowed(r_0 * (1 - 1e-6));
+		let outer_side = allowed(r_0 * (1 + 1e-6));
+		let has_inner = points.some(r => r < r_0 * (1 - 1e-6));
+		let has_outer = points.some(r => r > r_0 * (1 + 1e-6));
+
+		if (!inner_side && !outer_side) {
+			// Circular orbit
+			return "bound";
+		}
+		else if (!outer_side) {
+			return has_inner ? "bound" : "plunging";
+		}
+		else if (!inner_side) {
+			return has_outer ? "bound" : "escaping";
+		}
+		else if (has_inner && has_outer) {
+			return "bound";
+		}
+		else if (has_inner) {
+			return "escaping";
+		}
+		else if (has_outer) {
+			return "plunging";
+		}
+		return mobile.U_r < 0 ? "plunging" : "escaping";
+	}
+
+
+	/**
+	 * Launches a fan of photons on the equatorial plane from r_0 towards the
+	 * central body, one for each impact parameter b = L / E. A negative b gives
+	 * a retrograde photon around a rotating central body. Each photon is moved
+	 * for an astronaut (affine parameter) until it comes back to r_0 or reaches
+	 * the horizon or the surface, and is classified as:
+	 * - captured: reaches the horizon or the surface,
+	 * - orbiting: goes around the central body at least once before escaping or
+	 * being captured, or is still near the photon sphere after n_max steps,
+	 * - escaping: comes back to r_0.
+	 * The deflection is the angle swept minus the one of a straight line,
+	 * pi - 2 asin(|b| / r_0), NaN for a captured photon.
+	 * @param impact_parameters b (m)
+	 * @param r_0 starting radius, far from the central body (m)
+	 * @param step affine parameter step divided by r / c
+	 * @param n_max maximum number of steps for each photon
+	 * @returns impact_parameter, type, deflection (rad) and r_min of each photon
+	 */
+	public ray_fan(impact_parameters: number[], r_0: number, step: number = 1e-3, n_max: number = 1e6)
+	{
+		return impact_parameters.map(b => this.shoot_ray(b, r_0, step, n_max));
+	}
+
+
+	/**
+	 * Impact parameter separating the captured photons from the escaping ones,
+	 * found by bisection on the type given by ray_fan. For a rotating central
+	 * body, the prograde and retrograde values differ.
+	 * @param prograde direction of the photons relative to the rotation of the central body
+	 * @param r_0 starting radius, far from the central body (m)
+	 * @param tolerance relative precision
+	 * @param step affine parameter step divided by r / c, see ray_fan
+	 * @returns critical impact parameter, in absolute value (m)
+	 */
+	public critical_impact_parameter(
+		prograde: boolean = true,
+		r_0: number = 1e3 * this.central_body.R_s,
+		tolerance: number = 1e-6,
+		step: number = 1e-3
+	): number
+	{
+		let sign = (prograde) ? 1 : -1;
+		let captured = (b: number) => this.shoot_ray(sign * b, r_0, step, 1e6).type === "captured";
+		let b_min = 0;
+		let b_max = Math.max(this.central_body.R_s, this.central_body.radius);
+
+		while (captured(b_max)) { b_min = b_max; b_max *= 2; }
+
+		while (b_max - b_min > tolerance * b_max)
+		{
+			let b = (b_min + b_max) / 2;
+			if (captured(b)) { b_min = b; }
+			else { b_max = b; }
+		}
+
+		return (b_min + b_max) / 2;
+	}
+
+
+	/**
+	 * One photon of ray_fan.
+	 * @param b impact parameter (m)
+	 * @param r_0 starting radius (m)
+	 * @param step affine parameter step divided by r / c
+	 * @param n_max maximum number of steps
+	 * @returns impact_parameter, type, deflection and r_min
+	 */
+	private shoot_ray(b: number, r_0: number, step: number, n_max: number)
+	{
+		let mobile = new Mobile("ray_" + b, true, r_0, 0, 0, 180);
+		let r_inner = Math.max(this.central_body.radius, this.central_body.R_hp);
+		let type: "captured" | "orbiting" | "escaping" = "orbiting";
+		let r_min = r_0;
+		let phi = NaN;
+
+		mobile.E = 1;
+		mobile.L = b;
+		mobile.U_r = -this.c * Math.sqrt(Math.max(1 - this.mobile_potential(mobile), 0));
+
+		for (let i = 0; i < n_max; i++)
+		{
+			let r = mobile.r;
+			let previous_phi = mobile.phi;
+
+			this.mobile_new_position(mobile, step * mobile.r / this.c, "A");
+			r_min = Math.min(r_min, mobile.r);
+
+			if (!(mobile.r > r_inner))
+			{
+				type = "captured";
+				break;
+			}
+			if (mobile.U_r > 0 && mobile.r >= r_0)
+			{
+				// Angle swept at r_0
+				phi = previous_phi + (mobile.phi - previous_phi) * (r_0 - r) / (mobile.r - r);
+				type = "escaping";
+				break;
+			}
+		}
+
+		if (type === "escaping" && Math.abs(phi) >= 2 * Math.PI) { type = "orbiting"; }
+
+		return {
+			impact_parameter: b,
+			type: type,
+			deflection: Math.abs(phi) - Math.PI + 2 * Math.asin(Math.min(Math.abs(b) / r_0, 1)),
+			r_min: r_min
+		};
+	}
+
+
+	/**
+	 * Frequency ratio of the signal sent to a distant observer by the mobile at
+	 * each step of its trajectory, from its current position until its clock,
+	 * clock_a for an astronaut (A) or clock_do for a distant observer (DO),
+	 * reaches duration, the mobile stops or crosses the horizon.
+	 * The mobile must have been initialized by mobile_initialization.
+	 * @param mobile
+	 * @param duration time to simulate in the frame of the mobile (s)
+	 * @param step dtau, in the frame of the mobile (see mobile_frame)
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @param b impact parameter of the photons (m), see mobile_frequency_ratio
+	 * @returns clock_a, clock_do (emission times), r, ratio, gravitational and doppler
+	 */
+	public frequency_shift(
+		mobile: Mobile,
+		duration: number,
+		step: number,
+		reference_frame: "A" | "DO" = "A",
+		b: number = 0
+	)
+	{
+		let result = {
+			clock_a: [] as number[],
+			clock_do: [] as number[],
+			r: [] as number[],
+			ratio: [] as number[],
+			gravitational: [] as number[],
+			doppler: [] as number[]
+		};
+		let n = Math.ceil(duration / step);
+
+		reference_frame = this.mobile_frame(mobile, reference_frame);
+
+		for (let i = 0; i <= n; i++)
+		{
+			if (i > 0)
+			{
+				if (mobile.stopped) { break; }
+				this.mobile_step(mobile, step, reference_frame);
+			}
+
+			let frequency = this.mobile_frequency_ratio(mobile, reference_frame, b);
+
+			result.clock_a.push(mobile.clock_a);
+			result.clock_do.push(mobile.clock_do);
+			result.r.push(mobile.r);
+			result.ratio.push(frequency.ratio);
+			result.gravitational.push(frequency.gravitational);
+			result.doppler.push(frequency.doppler);
+
+			if (frequency.ratio === 0) { break; }
+		}
+
+		return result;
+	}
+
+
+	/**
+	 * Frequency received by a distant observer divided by the frequency emitted
+	 * by the mobile, split into the gravitational shift of a local observer at
+	 * rest and the Doppler shift of the mobile relative to it.
+	 * Only implemented by the metrics that know how to send a photon home.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @param b impact parameter of the photon (m)
+	 * @returns ratio, gravitational and doppler
+	 */
+	public mobile_frequency_ratio(
+		mobile: Mobile,
+		reference_frame: "A" | "DO",
+		b: number = 0
+	): { ratio: number, gravitational: number, doppler: number }
+	{
+		throw new Error("The frequency ratio is not available for " + this.constructor.name + ".");
+	}
+
+
+	/**
+	 * Cartesian coordinates of a point, the z axis being the rotation axis
+	 * of the central body. The Boyer-Lindquist coordinates of the Kerr metric
+	 * are spheroidal, sqrt(r² + a²) is the distance to the axis in the
+	 * equatorial plane (a = 0 for Schwarzschild).
+	 * @param r
+	 * @param theta
+	 * @param phi
+	 * @returns [x, y, z]
+	 */
+	public cartesian_coordinates(r: number, theta: number, phi: number): number[]
+	{
+		let rho = Math.sqrt(r**2 + this.central_body.a**2) * Math.sin(theta);
+
+		return [rho * Math.cos(phi), rho * Math.sin(phi), r * Math.cos(theta)];
+	}
+
+
+	/*
+	 * The following methods are implemented by each metric and are the only
+	 * ones needed to run a simulation step by step (see Animation).
+	 */
+
+
+	/**
+	 * Determines the integration constants of each mobile from its
+	 * initial physical velocity.
+	 * @param reference_frame Astronaut (A), Distant Observer (DO), see mobile_frame
+	 */
+	public abstract mobile_initialization(reference_frame?: "A" | "DO"): void;
+
+
+	/**
+	 * Determines the right dtau for each mobile and updates the parameter.
+	 * @param reference_frame Astronaut (A), Distant Observer (DO), see mobile_frame
+	 */
+	public abstract mobile_dtau(reference_frame: "A" | "DO"): void;
+
+
+	/**
+	 * Applies the integration algorithm to the relevant second derivative.
+	 * @param mobile
+	 * @param step dtau
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @returns [tau, r, U_r]
+	 */
+	public abstract mobile_trajectory(
+		mobile: Mobile,
+		step: number,
+		reference_frame: "A" | "DO"
+	): number[];
+
+
+	/**
+	 * Updates a mobile with its new position.
+	 * @param mobile
+	 * @param step dtau
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public abstract mobile_new_position(
+		mobile: Mobile,
+		step: number,
+		reference_frame: "A" | "DO"
+	): void;
+
+
+	/**
+	 * Updates the physical velocity of a mobile.
+	 * @param mobile
+	 */
+	public abstract mobile_velocity(mobile: Mobile): void;
+
+
+	/**
+	 * Updates time parameters of a mobile.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public abstract mobile_clocks(mobile: Mobile, reference_frame: "A" | "DO"): void;
+
+
+	/**
+	 * Relative error on the normalization condition of the 4-velocity,
+	 * ((dr/dtau)² / c² + V_A - E²) / E² with V_A the potential for an astronaut.
+	 * It is 0 for an exact solution.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 */
+	public abstract mobile_normalization(mobile: Mobile, reference_frame: "A" | "DO"): number;
+
+
+	/**
+	 * Potential for an astronaut (A) divided by c² at the current position of the
+	 * mobile, massive particle or photon: (dr/dtau)² / c² = E² - V.
+	 * @param mobile
+	 */
+	public abstract mobile_potential(mobile: Mobile): number;
+
+
+	/**
+	 * Radius of the innermost stable circular orbit.
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 */
+	public abstract isco_radius(prograde?: boolean): number;
+
+
+	/**
+	 * Radius of the circular orbit of light.
+	 * @param prograde direction of the orbit relative to the rotation of the central body
+	 */
+	public abstract photon_sphere_radius(prograde?: boolean): number;
 }
\ No newline at end of file
@@ -2,7 +2,27 @@ import {
 	Simulation
 } from "./simulation.js";
 
-import {c,k,h,G,AU,parsec,k_parsec,M_parsec,ly} from "./../../constants.js";
+import {c,k,h,G,AU,parsec,k_parsec,M_parsec,ly,km_s_M_parsec} from "./../../constants.js";
+
+/**
+ * Parameters of a Simulation_universe that can be modified by their name, hubble_cst
+ * being in km/s/Mpc and parameter_value, w_0, w_1 the ones of the dark energy.
+ */
+export type Cosmological_parameter = "hubble_cst" | "matter_parameter" | "parameter_value" | "w_0" | "w_1";
+
+/**
+ * Distances (m) and times (s) computed by Simulation_universe.distance_table,
+ * the i-th value of each array corresponding to z[i].
+ */
+export interface Distance_table {
+	z: number[];
+	metric_distance: number[];
+	luminosity_distance: number[];
+	angular_diameter_distance: number[];
+	light_distance: number[];
+	lookback_time: number[];
+	emission_age: number[];
+}
 
 /**
  * @class Simulation_universe.
@@ -22,24 +42,36 @@ import {c,k,h,G,AU,parsec,k_parsec,M_parsec,ly} from "./../../constants.js";
  * methods names :
  * @method modify_dark_energy
  * @method modify_constants
+ * @method get_parameter
+ * @method set_parameter
  * @method runge_kutta_universe_1
  * @method runge_kutta_universe_2
+ * @method dormand_prince_universe
  * @method calcul_omega_r
  * @method calcul_omega_k
  * @method check_sum_omegas
  * @method Y
  * @method dY
  * @method F
+ * @method dF
  * @method compute_scale_factor
  * @method compute_omegas
+ * @method equality_epochs
  * @method time
  * @method universe_age
  * @method duration
+ * @method hubble_parameter
+ * @method deceleration_parameter
+ * @method expansion_parameters
+ * @method transition_redshift
  * @method metric_distance
  * @method luminosity
  * @method luminosity_distance
  * @method light_distance
  * @method angular_diameter_distance
+ * @method distance_table
+ * @method distance_table_csv
+ * @method distance_table_json
  * @method brightness
  * @method apparent_diameter
  * @method integral_duration_substituated
@@ -78,7 +110,7 @@ export class Simulation_universe extends Simulation {
 	) {
 		super(id);
 		this._temperature = temperature;
-		this._hubble_cst = (hubble_cst * 1e3) / (((AU * (180 * 3600)) / Math.PI) * 1e6);
+		this._hubble_cst = hubble_cst * km_s_M_parsec;
 		this._matter_parameter = matter_parameter;
 		this._has_cmb = has_cmb;
 		this._has_neutrino = has_neutrino;
@@ -102,7 +134,7 @@ export class Simulation_universe extends Simulation {
 	}
 
 	public set hubble_cst(hubble_cst: number) {
-		this._hubble_cst = (hubble_cst * 1e3) / (((AU * (180 * 3600)) / Math.PI) * 1e6);
+		this._hubble_cst = hubble_cst * km_s_M_parsec;
 		this.check_sum_omegas();
 	}
 
@@ -215,6 +247,52 @@ export class Simulation_universe extends Simulation {
 		}
 	}
 
+	/**
+	 * Give the value of a parameter given by its name, used by fits and samplers.
+	 * @param name parameter
+	 * @returns current value of the parameter, hubble_cst in km/s/Mpc
+	 */
+	public get_parameter(name: Cosmological_parameter): number {
+		switch (name) {
+			case "hubble_cst":
+				return this.hubble_cst / km_s_M_parsec;
+			case "matter_parameter":
+				return this.matter_parameter;
+			default:
+				return this.dark_energy[name];
+		}
+	}
+
+	/**
+	 * Modify a parameter given by its name, used by fits and samplers.
+	 * In a flat universe, the matter parameter is modified through the dark energy parameter.
+	 * @param name parameter
+	 * @param value new value, hubble_cst in km/s/Mpc
+	 */
+	public set_parameter(name: Cosmological_parameter, value: number): void {
+		switch (name) {
+			case "hubble_cst":
+				this.hubble_cst = value;
+				break;
+			case "matter_parameter":
+				if (this.is_flat) {
+					this.modify_dark_energy(1 - value - this.calcul_omega_r());
+				} else {
+					this.matter_parameter = value;
+				}
+				break;
+			case "parameter_value":
+				this.modify_dark_energy(value);
+				break;
+			case "w_0":
+				this.modify_dark_energy(undefined, value);
+				break;
+			case "w_1":
+				this.modify_dark_energy(undefined, undefined, value);
+				break;
+		}
+	}
+
 	/**
 	 * Fourth order Runge-Kutta method for second order derivatives for universe computation.
 	 *
@@ -225,6 +303,9 @@ export class Simulation_universe extends Simulation {
 	 * @param funct function or method that define the equation to resolve, your function has to accept 2 numbers and return a number
 	 *
 	 * @returns [step: number, x: number[], y:number[]].
+	 *
+	 * Note : With the RK45 integrator, the points are the same but the computation
+	 * uses the adaptive Dormand-Prince method, see dormand_prince_universe.
 	 */
 	protected runge_kutta_universe_1(
 		step: number,
@@ -233,6 +314,20 @@ export class Simulation_universe extends Simulation {
 		funct: (Simu: Simulation_universe, x: number, y: number) => number,
 		interval: number[] = [0, 5]
 	) {
+		if (this.integrator === "RK45") {
+			let result = this.dormand_prince_universe(
+				step,
+				x_0,
+				[y_0],
+				(Simu: Simulation_universe, x: number, y: number[]) => [funct.call(this, Simu, x, y[0])],
+				(x: number, y: number[]) => interval[0] <= x && x < interval[1]
+			);
+			return {
+				x: result.x,
+				y: result.y.map(y => y[0])
+			};
+		}
+
 		// Init parameter
 		let x: number[] = [x_0];
 		let y: number[] = [y_0];
@@ -242,7 +337,7 @@ export class Simulation_universe extends Simulation {
 		let i = 0;
 		let result_runge_kutta: number[];
 		while (interval[0] <= x[i] && x[i] < interval[1]) {
-			result_runge_kutta = this.runge_kutta_equation_order1(
+			result_runge_kutta = this.solve_equation_order1(
 				this,
 				step,
 				x[i],
@@ -260,7 +355,7 @@ export class Simulation_universe extends Simulation {
 			so for each step we take the first element of the array to compute the next one.
 		*/
 		while (interval[0] <= x[0] && x[0] < interval[1]) {
-			result_runge_kutta = this.runge_kutta_equation_order1(
+			result_runge_kutta = this.solve_equation_order1(
 				this,
 				-step,
 				x[0],
@@ -289,6 +384,9 @@ export class Simulation_universe extends Simulation {
 	 * @param funct function or method that define the equation to resolve, your function has to accept 3 numbers and return a number
 	 *
 	 * @returns [step: number, x: number[], y:number[], yp: number[]].
+	 *
+	 * Note : With the RK45 integrator, the points are the same but the computation
+	 * uses the adaptive Dormand-Prince method, see dormand_prince_universe.
 	 */
 	protected runge_kutta_universe_2(
 		step: number,
@@ -298,6 +396,21 @@ export class Simulation_universe extends Simulation {
 		funct: (Simu: Simulation_universe, x: number, y: number, dy: number) => number,
 		interval: number[]
 	) {
+		if (this.integrator === "RK45") {
+			let result = this.dormand_prince_universe(
+				step,
+				x_0,
+				[y_0, dy_0],
+				(Simu: Simulation_universe, x: number, y: number[]) => [y[1], funct.call(this, Simu, x, y[0], y[1])],
+				(x: number, y: number[]) => interval[0] <= y[0] && y[0] < interval[1]
+			);
+			return {
+				x: result.x,
+				y: result.y.map(y => y[0]),
+				dy: result.y.map(y => y[1])
+			};
+		}
+
 		// Init parameter
 		let x: number[] = [x_0];
 		let y: number[] = [y_0];
@@ -308,7 +421,7 @@ export class Simulation_universe extends Simulation {
 		let i = 0;
 		let result_runge_kutta: number[];
 		while (interval[0] <= y[i] && y[i] < interval[1]) {
-			result_runge_kutta = this.runge_kutta_equation_order2(
+			result_runge_kutta = this.solve_equation_order2(
 				this,
 				step,
 				x[i],
@@ -328,7 +441,7 @@ export class Simulation_universe extends Simulation {
 			so for each step we take the first element of the array to compute the next one.
 		*/
 		while (interval[0] <= y[0] && y[0] < interval[1]) {
-			result_runge_kutta = this.runge_kutta_equation_order2(
+			result_runge_kutta = this.solve_equation_order2(
 				this,
 				-step,
 				x[0],
@@ -349,6 +462,35 @@ export class Simulation_universe extends Simulation {
 		};
 	}
 
+	/**
+	 * Adaptive Dormand-Prince method for universe computation. The internal steps follow the tolerance
+	 * but the results are given every step (dense output), in both directions from x_0
+	 * like the Runge-Kutta methods above.
+	 *
+	 * @param step Step between two returned points
+	 * @param x_0 x_point where the calcul start
+	 * @param y_0 initial values of the components at x_0
+	 * @param funct function returning the derivatives of the components
+	 * @param is_inside condition for the computation to go on
+	 *
+	 * @returns [x: number[], y: number[][]].
+	 */
+	protected dormand_prince_universe(
+		step: number,
+		x_0: number,
+		y_0: number[],
+		funct: (Simu: Simulation_universe, x: number, y: number[]) => number[],
+		is_inside: (x: number, y: number[]) => boolean
+	) {
+		let forward = this.dormand_prince_grid(this, step, x_0, y_0, funct, is_inside);
+		let backward = this.dormand_prince_grid(this, -step, x_0, y_0, funct, is_inside);
+
+		return {
+			x: backward.x.slice(1).reverse().concat(forward.x),
+			y: backward.y.slice(1).reverse().concat(forward.y)
+		};
+	}
+
 	/**
 	 * compute radiation density parameter at current time
 	 * @returns the radiation density parameter
@@ -459,6 +601,21 @@ export class Simulation_universe extends Simulation {
 		);
 	}
 
+	/**
+	 * F' function \
+	 * see Theory about cosmology and dark_energy
+	 * @param x variable
+	 * @returns value of the derivative of F at position x
+	 */
+	protected dF(x: number): number {
+		return (
+			2 * (1 + x) * this.calcul_omega_k() +
+			3 * (1 + x) ** 2 * this.matter_parameter +
+			4 * (1 + x) ** 3 * this.calcul_omega_r() -
+			this.dY(1 / (1 + x)) / (1 + x) ** 2 * this.dark_energy.parameter_value
+		);
+	}
+
 	/**
 	 * compute the scale factor of the universe as function of time
 	 * @param step Computation step
@@ -491,10 +648,15 @@ export class Simulation_universe extends Simulation {
 	}
 
 	/**
-	 * Computing the 4 density parameters given an array of cosmologic shift value
-	 * @param z_array array containing z points where to compute the omegas
+	 * Computing the 4 density parameters given an array of cosmologic shift or scale factor values.
+	 * Each component is scaled by its own evolution (matter (1 + z)³, radiation (1 + z)⁴,
+	 * curvature (1 + z)², dark energy Y(a)) and divided by F(z), so that their sum is 1.
+	 * @param array array containing the points where to compute the omegas
+	 * @param variable "z" if the array contains cosmologic shifts, "a" if it contains scale factors (a = 1 / (1 + z))
+	 * @returns z and a values and the density parameters
 	 */
-	public compute_omegas(z_array: number[]) {
+	public compute_omegas(array: number[], variable: "z" | "a" = "z") {
+		let z_array: number[] = (variable === "a") ? array.map(a => 1 / a - 1) : array;
 		let omega_matter: number[] = [];
 		let omega_rad: number[] = [];
 		let omega_de: number[] = [];
@@ -503,13 +665,16 @@ export class Simulation_universe extends Simulation {
 		let curvature = this.calcul_omega_k();
 
 		z_array.forEach(z => {
-			omega_matter.push(this.matter_parameter * (1 + z)**3 / this.F(z));
-			omega_rad.push(radiation * (1 + z)**3 / this.F(z));
-			omega_de.push(this.dark_energy.parameter_value * (1 + z)**3 / this.F(z));
-			omega_courbure.push(curvature * (1 + z)**3 / this.F(z));
+			let F = this.F(z);
+			omega_matter.push(this.matter_parameter * (1 + z)**3 / F);
+			omega_rad.push(radiation * (1 + z)**4 / F);
+			omega_de.push(this.dark_energy.parameter_value * this.Y(1 / (1 + z)) / F);
+			omega_courbure.push(curvature * (1 + z)**2 / F);
 		});
 
 		return {
+			z: z_array,
+			a: z_array.map(z => 1 / (1 + z)),
 			omega_matter: omega_matter,
 			omega_rad: omega_rad,
 			omega_de: omega_de,
@@ -517,6 +682,55 @@ export class Simulation_universe extends Simulation {
 		};
 	}
 
+	/**
+	 * Compute the epochs where the matter density equals the radiation density and the dark energy density.
+	 * The matter-radiation equality is given by z = omega_m / omega_r - 1, the matter-dark energy one
+	 * is found on n points between 0 and zmax, then refined by bisection.
+	 * @param zmax highest cosmologic shift where the matter-dark energy equality is searched
+	 * @param n number of points of the search
+	 * @returns z, a and age of the universe (s) of each equality, NaN if there is none
+	 */
+	public equality_epochs(zmax: number = 100, n: number = 1000) {
+		let radiation = this.calcul_omega_r();
+		// Logarithm of the matter density over the dark energy density
+		let ratio = (z: number) =>
+			Math.log(this.matter_parameter * (1 + z)**3 / (this.dark_energy.parameter_value * this.Y(1 / (1 + z))));
+
+		let z_radiation = (radiation > 0) ? this.matter_parameter / radiation - 1 : NaN;
+		let z_dark_energy = NaN;
+		let z_min = 0;
+
+		if (ratio(z_min) < 0) {
+			for (let i = 1; i <= n; i++) {
+				let z_max = zmax * i / n;
+				if (ratio(z_max) >= 0) {
+					for (let j = 0; j < 60; j++) {
+						let z = (z_min + z_max) / 2;
+						if (ratio(z) < 0) {
+							z_min = z;
+						} else {
+							z_max = z;
+						}
+					}
+					z_dark_energy = (z_min + z_max) / 2;
+					break;
+				}
+				z_min = z_max;
+			}
+		}
+
+		let epoch = (z: number) => ({
+			z: z,
+			a: 1 / (1 + z),
+			age: (z > -1) ? this.emission_age(z) : NaN
+		});
+
+		return {
+			matter_radiation: epoch(z_radiation),
+			matter_dark_energy: epoch(z_dark_energy)
+		};
+	}
+
 	/**
 	 * Compute the time as a function of the cosmologic shift
 	 * @param n number of computation points
@@ -589,6 +803,86 @@ export class Simulation_universe extends Simulation {
 		return duration;
 	}
 
+	/**
+	 * Compute the Hubble-Lemaître parameter H(z) = H_0 sqrt(F(z))
+	 * @param z cosmologic shift
+	 * @returns H(z) in international system units (1/s)
+	 */
+	public hubble_parameter(z: number): number {
+		return this.hubble_cst * Math.sqrt(this.F(z));
+	}
+
+	/**
+	 * Compute the deceleration parameter q(z) = (1 + z) H'(z) / H(z) - 1
+	 * @param z cosmologic shift
+	 * @returns q(z), negative when the expansion is accelerating
+	 */
+	public deceleration_parameter(z: number): number {
+		return (1 + z) * this.dF(z) / (2 * this.F(z)) - 1;
+	}
+
+	/**
+	 * Compute the Hubble-Lemaître parameter and the deceleration parameter as a function of the cosmologic shift
+	 * @param n number of computation points
+	 * @param zmin
+	 * @param zmax
+	 * @returns z values, H(z) in international system units (1/s), q(z)
+	 */
+	public expansion_parameters(n: number, zmin: number, zmax: number) {
+		if (zmin <= -1) {
+			throw new Error("Cosmologic shift z cannot be equal or lower than -1 included");
+		}
+
+		let step: number = (n > 1) ? (zmax - zmin) / (n - 1) : 0;
+		let z: number[] = [];
+		let hubble_parameter: number[] = [];
+		let deceleration_parameter: number[] = [];
+
+		for (let i = 0; i < n; i++) {
+			z.push(zmin + i * step);
+			hubble_parameter.push(this.hubble_parameter(z[i]));
+			deceleration_parameter.push(this.deceleration_parameter(z[i]));
+		}
+
+		return {
+			z: z,
+			hubble_parameter: hubble_parameter,
+			deceleration_parameter: deceleration_parameter
+		};
+	}
+
+	/**
+	 * Compute the cosmologic shift where the expansion starts accelerating (q = 0).
+	 * The first change of sign of q between 0 and zmax is found on n points, then refined by bisection.
+	 * @param zmax highest cosmologic shift where the transition is searched
+	 * @param n number of points of the search
+	 * @returns the transition shift, NaN if the expansion is not accelerating today or if there is no transition before zmax
+	 */
+	public transition_redshift(zmax: number = 100, n: number = 1000): number {
+		let z_min = 0;
+		if (!(this.deceleration_parameter(z_min) < 0)) {
+			return NaN;
+		}
+
+		for (let i = 1; i <= n; i++) {
+			let z_max = zmax * i / n;
+			if (this.deceleration_parameter(z_max) >= 0) {
+				for (let j = 0; j < 60; j++) {
+					let z = (z_min + z_max) / 2;
+					if (this.deceleration_parameter(z) < 0) {
+						z_min = z;
+					} else {
+						z_max = z;
+					}
+				}
+				return (z_min + z_max) / 2;
+			}
+			z_min = z_max;
+		}
+
+		return NaN;
+	}
+
 	/**
 	 * Compute the distance between us and an object at a cosmologic redshit z
 	 * @param z cosmologic shift
@@ -654,6 +948,122 @@ export class Simulation_universe extends Simulation {
 		return duration * c;
 	}
 
+	/**
+	 * Compute all the distances and times of a list of cosmologic shifts at once.
+	 * Instead of integrating from z = 0 for each value like metric_distance and duration,
+	 * the integrals are accumulated from one z to the next one.
+	 * @param z_array cosmologic shifts, in any order
+	 * @param n number of computation points between two consecutive shifts
+	 * @returns distances in m, lookback time and age of the universe at the emission in s
+	 */
+	public distance_table(z_array: number[], n: number = 100): Distance_table {
+		if (z_array.some(z => z <= -1)) {
+			throw new Error("Cosmologic shift z cannot be equal or lower than -1 included");
+		}
+
+		// Increasing points containing z = 0, where the integrals start
+		let z_grid = Array.from(new Set(z_array.concat([0]))).sort((z_1, z_2) => z_1 - z_2);
+		let origin = z_grid.indexOf(0);
+		let distances = this.cumulative_simpson(this, this.integral_distance, z_grid, n);
+		let durations = this.cumulative_simpson(
+			this,
+			this.integral_duration_substituated,
+			z_grid.map(z => z / (1 + z)),
+			n
+		);
+
+		let curvature: number = this.calcul_omega_k();
+		let hubble_distance = this.constants.c / this.hubble_cst;
+		let age = this.universe_age();
+		let table: Distance_table = {
+			z: [],
+			metric_distance: [],
+			luminosity_distance: [],
+			angular_diameter_distance: [],
+			light_distance: [],
+			lookback_time: [],
+			emission_age: []
+		};
+
+		z_array.forEach(z => {
+			let index = z_grid.indexOf(z);
+			let distance = distances[index] - distances[origin];
+			if (curvature < 0) {
+				distance =
+					Math.sinh(Math.sqrt(Math.abs(curvature)) * distance) /
+					Math.sqrt(Math.abs(curvature));
+			} else if (curvature > 0) {
+				distance =
+					Math.sin(Math.sqrt(Math.abs(curvature)) * distance) /
+					Math.sqrt(Math.abs(curvature));
+			}
+			distance *= hubble_distance;
+			let lookback_time = (durations[index] - durations[origin]) / this.hubble_cst;
+
+			table.z.push(z);
+			table.metric_distance.push(distance);
+			table.luminosity_distance.push(this.luminosity_distance(z, distance));
+			table.angular_diameter_distance.push(this.angular_diameter_distance(z, distance));
+			table.light_distance.push(lookback_time * this.constants.c);
+			table.lookback_time.push(lookback_time);
+			table.emission_age.push(age - lookback_time);
+		});
+
+		return table;
+	}
+
+	/**
+	 * Export a result of distance_table in CSV, one line per cosmologic shift.
+	 * @param table result of distance_table
+	 * @param digits significant digits
+	 * @param separator separator of the columns
+	 * @returns CSV text with a header line
+	 */
+	public distance_table_csv(table: Distance_table, digits: number = 10, separator: string = ","): string {
+		let lines = [[
+			"z",
+			"metric distance (m)",
+			"luminosity distance (m)",
+			"angular diameter distance (m)",
+			"light distance (m)",
+			"lookback time (s)",
+			"emission age (s)"
+		].join(separator)];
+
+		table.z.forEach((z, i) => {
+			lines.push([
+				z,
+				table.metric_distance[i],
+				table.luminosity_distance[i],
+				table.angular_diameter_distance[i],
+				table.light_distance[i],
+				table.lookback_time[i],
+				table.emission_age[i]
+			].map(value => value.toPrecision(digits)).join(separator));
+		});
+
+		return lines.join("\n");
+	}
+
+	/**
+	 * Export a result of distance_table in JSON, as an array of objects, one per cosmologic shift.
+	 * @param table result of distance_table
+	 * @returns JSON text
+	 */
+	public distance_table_json(table: Distance_table): string {
+		let rows = table.z.map((z, i) => ({
+			z: z,
+			metric_distance: table.metric_distance[i],
+			luminosity_distance: table.luminosity_distance[i],
+			angular_diameter_distance: table.angular_diameter_distance[i],
+			light_distance: table.light_distance[i],
+			lookback_time: table.lookback_time[i],
+			emission_age: table.emission_age[i]
+		}));
+
+		return JSON.stringify(rows, null, "\t");
+	}
+
 	/**
 	 * Compute the luminosity of an astronomical object of an unifrom intensity I
 	 * @param I intensity
@@ -721,8 +1131,12 @@ export class Simulation_universe extends Simulation {
 	 * @returns (1 - y) * 1/sqrt(F(x)) * 1/(1 - y)²\
 	 *
 	 * Note : 1/(1 - y)² is the term come from dx = dy/(1 - y)²
+	 * At y = 1 (x infinite), the limit 0 is returned: F grows at least like x³ with matter or radiation.
 	 */
 	protected integral_duration_substituated(Simu: Simulation_universe, y: number): number {
+		if (y === 1) {
+			return 0;
+		}
 		return (
 			(((1 - y) / Math.pow(1 - y, 2))) /
 			Math.sqrt(Simu.F(y / (1 - y)))
@@ -0,0 +1,182 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory } from "./simulation_trajectory.js";
+import { Newton } from "./newton.js";
+import { Orbit_tracker } from "./orbit_tracker.js";
+
+
+/**
+ * @class Trajectory_comparison
+ *
+ * Integrates the mobiles of a relativistic simulation (Schwarzschild, Kerr...)
+ * and the same initial conditions under Newtonian gravity, step by step in the
+ * time of a distant observer, which is the absolute time of Newtonian gravity.
+ * The Newtonian simulation is built from the relativistic one, so it must be
+ * created before the relativistic simulation starts.
+ *
+ * The result of each mobile contains the position divergence over time and,
+ * for both simulations, the orbital elements given by an Orbit_tracker with
+ * the orbital period and the perihelion advance per orbit.
+ *
+ * @param relativistic
+ * @param newtonian
+ * @param relativistic_tracker
+ * @param newtonian_tracker
+ *
+ * @method run
+ */
+
+export class Trajectory_comparison
+{
+
+	private _relativistic: Simulation_trajectory;
+	private _newtonian: Newton;
+	private _relativistic_tracker: Orbit_tracker;
+	private _newtonian_tracker: Orbit_tracker;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(relativistic: Simulation_trajectory)
+	{
+		let central_body = relativistic.central_body;
+
+		this._relativistic = relativistic;
+		this._newtonian = new Newton(
+			relativistic.id + "_newton",
+			central_body.collidable,
+			central_body.mass,
+			central_body.radius
+		);
+		this._newtonian.c = relativistic.c;
+		this._newtonian.G = relativistic.G;
+		this._newtonian.integrator = relativistic.integrator;
+		this._newtonian.tolerance = relativistic.tolerance;
+		this._relativistic_tracker = new Orbit_tracker(relativistic);
+		this._newtonian_tracker = new Orbit_tracker(this._newtonian);
+
+		// The physical velocity of a mobile is its initial speed until
+		// mobile_velocity is called.
+		relativistic.mobile_list.forEach(mobile =>
+		{
+			this._newtonian.add_mobile(new Mobile(
+				mobile.id,
+				mobile.is_photon,
+				mobile.r,
+				mobile.phi * 180 / Math.PI,
+				mobile.v_r,
+				mobile.v_alpha * 180 / Math.PI
+			));
+		});
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get relativistic() { return this._relativistic; }
+
+	public get newtonian() { return this._newtonian; }
+
+	public get relativistic_tracker() { return this._relativistic_tracker; }
+
+	public get newtonian_tracker() { return this._newtonian_tracker; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Initializes both simulations and integrates them with the same time step.
+	 * A mobile stops when it reaches the surface or the horizon of the central
+	 * body in one of the simulations.
+	 * The perihelion advance is the precession of Orbit_tracker.orbital_elements
+	 * and the period its period_do, NaN with less than two periapsis passages.
+	 * @param duration time of a distant observer to simulate (s)
+	 * @param step time step (s)
+	 * @returns results stored by mobile id
+	 */
+	public run(duration: number, step: number)
+	{
+		let relativistic = this._relativistic;
+		let newtonian = this._newtonian;
+		let results = new Map<string, {
+			time: number[],
+			divergence: number[],
+			relativistic: { period: number, perihelion_advance: number },
+			newtonian: { period: number, perihelion_advance: number }
+		}>();
+
+		relativistic.mobile_initialization("DO");
+		newtonian.mobile_initialization("DO");
+
+		relativistic.mobile_list.forEach((mobile, index) =>
+		{
+			let twin = newtonian.mobile_list[index];
+			let result = {
+				time: [0],
+				divergence: [this.distance(mobile, twin)],
+				relativistic: { period: NaN, perihelion_advance: NaN },
+				newtonian: { period: NaN, perihelion_advance: NaN }
+			};
+			let r_min = Math.max(relativistic.central_body.radius, relativistic.central_body.R_hp);
+			let n = Math.ceil(duration / step);
+
+			this._relativistic_tracker.record(mobile);
+			this._newtonian_tracker.record(twin);
+
+			for (let i = 1; i <= n; i++)
+			{
+				let time = i * step;
+
+				[[relativistic, mobile, this._relativistic_tracker],
+				[newtonian, twin, this._newtonian_tracker]]
+				.forEach(([simulation, body, tracker]: [Simulation_trajectory, Mobile, Orbit_tracker]) =>
+				{
+					simulation.mobile_new_position(body, step, "DO");
+					body.dtau = step;
+					simulation.mobile_clocks(body, "DO");
+					tracker.record(body);
+				});
+
+				if (!(mobile.r > r_min) || !(twin.r > newtonian.central_body.radius)) { break; }
+
+				result.time.push(time);
+				result.divergence.push(this.distance(mobile, twin));
+			}
+
+			let relativistic_elements = this._relativistic_tracker.orbital_elements(mobile);
+			let newtonian_elements = this._newtonian_tracker.orbital_elements(twin);
+
+			result.relativistic.period = relativistic_elements.period_do;
+			result.relativistic.perihelion_advance = relativistic_elements.precession;
+			result.newtonian.period = newtonian_elements.period_do;
+			result.newtonian.perihelion_advance = newtonian_elements.precession;
+
+			results.set(mobile.id, result);
+		});
+
+		return results;
+	}
+
+
+	/**
+	 * Distance between the positions of a mobile in both simulations.
+	 * @param mobile mobile of the relativistic simulation
+	 * @param twin same mobile in the Newtonian simulation
+	 * @returns distance (m)
+	 */
+	private distance(mobile: Mobile, twin: Mobile): number
+	{
+		let position = this._relativistic.cartesian_coordinates(mobile.r, mobile.theta, mobile.phi);
+		let twin_position = this._newtonian.cartesian_coordinates(twin.r, twin.theta, twin.phi);
+
+		return Math.hypot(
+			position[0] - twin_position[0],
+			position[1] - twin_position[1],
+			position[2] - twin_position[2]
+		);
+	}
+
+
+}
@@ -0,0 +1,176 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory } from "./simulation_trajectory.js";
+
+
+/**
+ * Values of each mobile on the timeline of a Trajectory_scenario.
+ */
+export interface Scenario_timeline
+{
+	time: number[];
+	mobiles: Map<string, {
+		reference_frame: "A" | "DO",
+		r: number[],
+		phi: number[],
+		theta: number[],
+		clock_a: number[]
+	}>;
+}
+
+
+/**
+ * @class Trajectory_scenario
+ *
+ * Runs several mobiles of a trajectory simulation at once, each one in its own
+ * reference frame (see Simulation_trajectory.mobile_frame) and with its own
+ * step, fixed or given by mobile_dtau. The mobiles are synchronized on the
+ * time of a distant observer (clock_do): the timeline is sampled at regular
+ * intervals of this time so that they can be compared on one plot.
+ *
+ * A mobile in the astronaut frame (A) is moved until its clock_do goes past
+ * the sample time and its values are interpolated linearly. After crossing
+ * a horizon its clock_do is infinite: for the distant observer, it stays
+ * where it was at the last step before the horizon. A mobile in the frame of
+ * the distant observer (DO) is stopped there (see Simulation_trajectory.detect_events).
+ *
+ * @param simulation
+ * @param steps
+ *
+ * @method add_mobile
+ * @method run
+ */
+
+export class Trajectory_scenario
+{
+
+	private _simulation: Simulation_trajectory;
+	// Fixed step of each mobile, given by mobile_dtau when undefined
+	private _steps: Map<string, number | undefined>;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(simulation: Simulation_trajectory)
+	{
+		this._simulation = simulation;
+		this._steps = new Map();
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get simulation() { return this._simulation; }
+
+	public get steps() { return this._steps; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Adds a mobile to the simulation with its frame and its step control.
+	 * @param mobile
+	 * @param reference_frame Astronaut (A), Distant Observer (DO)
+	 * @param step fixed dtau in the frame of the mobile, mobile_dtau when undefined
+	 */
+	public add_mobile(mobile: Mobile, reference_frame: "A" | "DO", step?: number): void
+	{
+		mobile.reference_frame = reference_frame;
+		this._simulation.add_mobile(mobile);
+		this._steps.set(mobile.id, step);
+	}
+
+
+	/**
+	 * Initializes the simulation and moves the mobiles until the time of the
+	 * distant observer reaches duration. A mobile in the distant observer frame
+	 * has its steps shortened to stop exactly on each sample time.
+	 * The mobiles that are stopped (see Simulation_trajectory.mobile_step) or
+	 * whose clock_do no longer increases keep their last values.
+	 * @param duration time of a distant observer to simulate (s)
+	 * @param interval time of a distant observer between two samples (s)
+	 * @returns timeline sampled on the time of a distant observer
+	 */
+	public run(duration: number, interval: number): Scenario_timeline
+	{
+		let simulation = this._simulation;
+		let timeline: Scenario_timeline = { time: [], mobiles: new Map() };
+		let previous = new Map<string, { r: number, phi: number, theta: number,
+			clock_a: number, clock_do: number }>();
+		let frozen = new Set<string>();
+		let snapshot = (mobile: Mobile) => ({
+			r: mobile.r,
+			phi: mobile.phi,
+			theta: mobile.theta,
+			clock_a: mobile.clock_a,
+			clock_do: mobile.clock_do
+		});
+
+		simulation.mobile_initialization();
+		simulation.mobile_list.forEach(mobile =>
+		{
+			previous.set(mobile.id, snapshot(mobile));
+			timeline.mobiles.set(mobile.id, {
+				reference_frame: simulation.mobile_frame(mobile, "A"),
+				r: [],
+				phi: [],
+				theta: [],
+				clock_a: []
+			});
+		});
+
+		let n = Math.floor(duration / interval);
+
+		for (let k = 0; k <= n; k++)
+		{
+			let time = k * interval;
+			timeline.time.push(time);
+
+			simulation.mobile_list.forEach(mobile =>
+			{
+				let reference_frame = simulation.mobile_frame(mobile, "A");
+
+				while (!mobile.stopped && !frozen.has(mobile.id) && mobile.clock_do < time)
+				{
+					let step = this._steps.get(mobile.id);
+					let clock_do = mobile.clock_do;
+
+					if (step === undefined)
+					{
+						simulation.mobile_dtau(reference_frame);
+						step = mobile.dtau;
+					}
+					if (reference_frame === "DO")
+					{
+						step = Math.min(step, time - mobile.clock_do);
+					}
+
+					previous.set(mobile.id, snapshot(mobile));
+					simulation.mobile_step(mobile, step, reference_frame);
+
+					if (!(mobile.clock_do > clock_do)) { frozen.add(mobile.id); }
+				}
+
+				// Linear interpolation between the last two steps
+				let before = previous.get(mobile.id);
+				let fraction = (time - before.clock_do) / (mobile.clock_do - before.clock_do);
+
+				if (!Number.isFinite(mobile.clock_do)) { fraction = 0; }
+				else if (!(fraction <= 1)) { fraction = 1; }
+				fraction = Math.max(fraction, 0);
+
+				let data = timeline.mobiles.get(mobile.id);
+				data.r.push(before.r + fraction * (mobile.r - before.r));
+				data.phi.push(before.phi + fraction * (mobile.phi - before.phi));
+				data.theta.push(before.theta + fraction * (mobile.theta - before.theta));
+				data.clock_a.push(before.clock_a + fraction * (mobile.clock_a - before.clock_a));
+			});
+		}
+
+		return timeline;
+	}
+
+
+}
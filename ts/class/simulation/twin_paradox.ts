@@ -0,0 +1,194 @@
+import { Mobile } from "./simulation objects/mobile.js";
+import { Simulation_trajectory } from "./simulation_trajectory.js";
+import { Trajectory_scenario } from "./trajectory_scenario.js";
+
+
+/**
+ * Proper times of the mobiles of a Twin_paradox, sampled on the time of a
+ * distant observer, and the final values of each mobile.
+ */
+export interface Twin_paradox_report
+{
+	reference_id: string;
+	time: number[];
+	proper_times: Map<string, number[]>;
+	// Proper time of each mobile minus the one of the reference mobile
+	differences: Map<string, number[]>;
+	rows: {
+		id: string,
+		proper_time: number,
+		coordinate_time: number,
+		difference: number,
+		ratio: number,
+		separation: number
+	}[];
+}
+
+
+/**
+ * @class Twin_paradox
+ *
+ * Compares the proper time (clock_a, given by mobile_clocks) elapsed for several
+ * mobiles that start at the same event, for instance a circular orbiter and a
+ * probe launched radially which falls back. The mobiles are moved by a
+ * Trajectory_scenario in the frame of a distant observer, so that they all
+ * reach the same coordinate time at the end.
+ *
+ * The mobiles end at the same event only if they are at the same place at this
+ * time: the separation of each mobile from the reference one at the end is
+ * given in the report to check it.
+ *
+ * @param simulation
+ * @param scenario
+ *
+ * @method add_mobile
+ * @method run
+ * @method table
+ */
+
+export class Twin_paradox
+{
+
+	private _simulation: Simulation_trajectory;
+	private _scenario: Trajectory_scenario;
+
+
+	//-------------------- Constructor --------------------
+
+
+	constructor(simulation: Simulation_trajectory)
+	{
+		this._simulation = simulation;
+		this._scenario = new Trajectory_scenario(simulation);
+	}
+
+
+	//--------------------- Accessors ----------------------
+
+
+	public get simulation() { return this._simulation; }
+
+	public get scenario() { return this._scenario; }
+
+
+	//---------------------- Methods -----------------------
+
+
+	/**
+	 * Adds a mobile, moved for a distant observer (DO).
+	 * @param mobile
+	 * @param step fixed dt, mobile_dtau when undefined
+	 */
+	public add_mobile(mobile: Mobile, step?: number): void
+	{
+		this._scenario.add_mobile(mobile, "DO", step);
+	}
+
+
+	/**
+	 * Moves the mobiles from their common starting event until the time of
+	 * the distant observer reaches duration.
+	 * The ratio of a mobile is its proper time divided by the coordinate time
+	 * and the separation is the distance from the reference mobile at the end
+	 * (see Simulation_trajectory.cartesian_coordinates).
+	 * @param duration time of a distant observer between both events (s)
+	 * @param interval time of a distant observer between two samples (s), at most duration
+	 * @param reference_id id of the mobile the others are compared to, the first one by default
+	 * @returns report
+	 */
+	public run(duration: number, interval: number, reference_id?: string): Twin_paradox_report
+	{
+		let simulation = this._simulation;
+
+		if (simulation.mobile_list.length === 0)
+		{
+			throw new Error("The twin paradox needs at least one mobile.");
+		}
+		if (!(interval > 0 && duration >= interval))
+		{
+			throw new Error("The interval must be positive and not longer than the duration.");
+		}
+		if (reference_id === undefined)
+		{
+			reference_id = simulation.mobile_list[0].id;
+		}
+
+		let timeline = this._scenario.run(duration, interval);
+		let reference = timeline.mobiles.get(reference_id);
+
+		if (reference === undefined)
+		{
+			throw new Error("No mobile with the id " + reference_id + ".");
+		}
+
+		let last = timeline.time.length - 1;
+		let position = (data: typeof reference) => simulation.cartesian_coordinates(
+			data.r[last], data.theta[last], data.phi[last]);
+		let reference_position = position(reference);
+		let report: Twin_paradox_report = {
+			reference_id: reference_id,
+			time: timeline.time,
+			proper_times: new Map(),
+			differences: new Map(),
+			rows: []
+		};
+
+		timeline.mobiles.forEach((data, id) =>
+		{
+			let differences = data.clock_a.map((clock_a, i) => clock_a - reference.clock_a[i]);
+			let mobile_position = position(data);
+
+			report.proper_times.set(id, data.clock_a);
+			report.differences.set(id, differences);
+			report.rows.push({
+				id: id,
+				proper_time: data.clock_a[last],
+				coordinate_time: timeline.time[last],
+				difference: differences[last],
+				ratio: data.clock_a[last] / timeline.time[last],
+				separation: Math.hypot(
+					mobile_position[0] - reference_position[0],
+					mobile_position[1] - reference_position[1],
+					mobile_position[2] - reference_position[2]
+				)
+			});
+		});
+
+		return report;
+	}
+
+
+	/**
+	 * Text table of the final values of a report, one line per mobile.
+	 * @param report result of run
+	 * @param digits significant digits
+	 * @returns table with a header line, columns separated by tabulations
+	 */
+	public table(report: Twin_paradox_report, digits: number = 10): string
+	{
+		let lines = [[
+			"mobile",
+			"proper time (s)",
+			"coordinate time (s)",
+			"difference with " + report.reference_id + " (s)",
+			"ratio",
+			"separation (m)"
+		].join("\t")];
+
+		report.rows.forEach(row =>
+		{
+			lines.push([
+				row.id,
+				row.proper_time.toPrecision(digits),
+				row.coordinate_time.toPrecision(digits),
+				row.difference.toPrecision(digits),
+				row.ratio.toPrecision(digits),
+				row.separation.toPrecision(digits)
+			].join("\t"));
+		});
+
+		return lines.join("\n");
+	}
+
+
+}
@@ -3,6 +3,7 @@ export const c: number = 2.99792458e8;        // Light constant
 export const k: number = 1.38064852e-23;      // Boltzmann constant
 export const h: number = 6.62607004e-34;      // Planck constant
 export const G: number = 6.67430e-11;         // Newton constant : Système international 2018
+export const epsilon_0: number = 8.8541878128e-12; // Vacuum permittivity
 
 
 // Distances
@@ -10,4 +11,8 @@ export const AU: number = 1.495978707e11;      // Astronomical unit in meters
 export const parsec: number = 3.0857e16;       // Parsec in meters
 export const k_parsec: number = 3.0857e19;     // Kiloparsec in meters
 export const M_parsec: number = 3.0857e22;     // Megaparsec in meters
-export const ly: number = 9.4607e15;           // Light-year in meters
\ No newline at end of file
+export const ly: number = 9.4607e15;           // Light-year in meters
+
+
+// Units
+export const km_s_M_parsec: number = 1e3 / (((AU * (180 * 3600)) / Math.PI) * 1e6); // km/s/Mpc in 1/s (Hubble-Lemaître parameter)
\ No newline at end of file
@@ -13,9 +13,21 @@ function trace_scale_factor() {
 		y: result_a_tau.y,
 		mode: 'lines'
 	};
+	let traces: any[] = [trace_1];
+
+	// Transition from decelerated to accelerated expansion (q = 0)
+	let z_transition = universe.transition_redshift();
+	if (!isNaN(z_transition)) {
+		traces.push({
+			x: [universe.emission_age(z_transition) / (3600 * 24 * 365.2425)],
+			y: [1 / (1 + z_transition)],
+			mode: 'markers',
+			name: 'q = 0 (z = ' + z_transition.toFixed(3) + ')'
+		});
+	}
 
 	let graphic: any = document.getElementById("graphic_scale_factor");
-	Plotly.newPlot(graphic, [trace_1], {margin: { t: 0 } });
+	Plotly.newPlot(graphic, traces, {margin: { t: 0 } });
 }
 
 function update_universe_value(x: number) {
@@ -0,0 +1,44 @@
+/**
+ * Minimal test helpers: the tests are registered with test and run by
+ * run_tests, a failed check throws an error.
+ */
+
+export const tests: { name: string, run: () => void }[] = [];
+
+
+/**
+ * Registers a test.
+ * @param name
+ * @param run function throwing an error when the test fails
+ */
+export function test(name: string, run: () => void): void
+{
+	tests.push({ name: name, run: run });
+}
+
+
+/**
+ * @param condition
+ * @param message
+ */
+export function check(condition: boolean, message: string): void
+{
+	if (!condition)
+	{
+		throw new Error(message);
+	}
+}
+
+
+/**
+ * Checks that actual is equal to expected with a relative tolerance.
+ * @param actual
+ * @param expected
+ * @param tolerance relative tolerance
+ * @param message
+ */
+export function check_close(actual: number, expected: number, tolerance: number, message: string): void
+{
+	check(Math.abs(actual - expected) <= tolerance * Math.abs(expected),
+		message + ": " + actual + " instead of " + expected);
+}
@@ -0,0 +1,23 @@
+import { test, check_close } from "./check.js";
+import { Simulation_universe } from "../class/simulation/simulation_universe.js";
+
+
+test("distance_table agrees with the methods computing one z at a time", () =>
+{
+	for (let matter_parameter of [3.089e-1, 1])
+	{
+		let universe = new Simulation_universe("universe", 2.7255, 67.74, matter_parameter);
+		let z_array = [0.1, 0.5, 1, 2, 5];
+		let table = universe.distance_table(z_array);
+		let label = (z: number) => " at z = " + z + ", matter_parameter = " + matter_parameter;
+
+		z_array.forEach((z, i) =>
+		{
+			check_close(table.metric_distance[i], universe.metric_distance(z), 1e-6, "metric_distance" + label(z));
+			check_close(table.luminosity_distance[i], universe.luminosity_distance(z), 1e-6, "luminosity_distance" + label(z));
+			check_close(table.lookback_time[i], universe.duration(0, z), 1e-6, "lookback_time" + label(z));
+			// The integrand of the age has an infinite derivative at z infinite
+			check_close(table.emission_age[i], universe.emission_age(z), 1e-5, "emission_age" + label(z));
+		});
+	}
+});
@@ -0,0 +1,85 @@
+import { test, check, check_close } from "./check.js";
+import { Schwarzschild } from "../class/simulation/schwarzschild.js";
+import { Mobile } from "../class/simulation/simulation objects/mobile.js";
+import { c } from "../constants.js";
+
+
+/**
+ * Simpson's rule with n (even) intervals.
+ */
+function integral(funct: (x: number) => number, infimum: number, supremum: number, n: number): number
+{
+	let step = (supremum - infimum) / n;
+	let sum = funct(infimum) + funct(supremum);
+
+	for (let i = 1; i < n; i++)
+	{
+		sum += ((i % 2 !== 0) ? 4 : 2) * funct(infimum + i * step);
+	}
+	return sum * step / 3;
+}
+
+
+/**
+ * Eccentric orbit of semi-latus rectum p = 12 M and eccentricity e = 0.5 followed
+ * with the adaptive integrator for one radial period, from the apoapsis, the steps
+ * of mobile_dtau being only output intervals. With r = p M / (1 + e cos(chi)),
+ * the radial period and the advance of phi are integrals over chi (Cutler,
+ * Kennefick and Poisson, Phys. Rev. D 50, 3816, 1994):
+ * dtau/dchi = M p^(3/2) / (1 + e cos(chi))² sqrt((p - 3 - e²) / (p - 6 - 2 e cos(chi)))
+ * dt/dchi = M p² / ((p - 2 - 2 e cos(chi)) (1 + e cos(chi))²) sqrt(((p - 2)² - 4 e²) / (p - 6 - 2 e cos(chi)))
+ * dphi/dchi = sqrt(p / (p - 6 - 2 e cos(chi)))
+ */
+function check_eccentric_orbit(reference_frame: "A" | "DO"): void
+{
+	let simulation = new Schwarzschild("schwarzschild", false, 2e31, 0, 0);
+	let R_s = simulation.central_body.R_s;
+	let M = R_s / 2;
+	let p = 12;
+	let e = 0.5;
+	let r_a = p * M / (1 - e);
+	let r_p = p * M / (1 + e);
+	let E = Math.sqrt(((p - 2)**2 - 4 * e**2) / (p * (p - 3 - e**2)));
+	// Velocity measured by the static observer at the apoapsis, L / r_a = (1 - e) / sqrt(p - 3 - e²)
+	let velocity = c * (1 - e) / Math.sqrt(p - 3 - e**2) * Math.sqrt(1 - R_s / r_a) / E;
+	let mobile = new Mobile("orbit", false, r_a, 0, velocity, 90);
+
+	let radial_period = integral((chi) => (reference_frame === "A")
+		? M * p**1.5 / (1 + e * Math.cos(chi))**2
+			* Math.sqrt((p - 3 - e**2) / (p - 6 - 2 * e * Math.cos(chi)))
+		: M * p**2 / ((p - 2 - 2 * e * Math.cos(chi)) * (1 + e * Math.cos(chi))**2)
+			* Math.sqrt(((p - 2)**2 - 4 * e**2) / (p - 6 - 2 * e * Math.cos(chi))),
+		0, 2 * Math.PI, 2000) / c;
+	let phi_advance = integral((chi) => Math.sqrt(p / (p - 6 - 2 * e * Math.cos(chi))), 0, 2 * Math.PI, 2000);
+
+	simulation.integrator = "RK45";
+	simulation.add_mobile(mobile);
+	simulation.mobile_initialization(reference_frame);
+	check_close(mobile.E, E, 1e-12, reference_frame + " E");
+
+	let time = 0;
+	let steps = 0;
+	let r_min = r_a;
+
+	while (time < radial_period)
+	{
+		simulation.mobile_dtau(reference_frame);
+		let step = Math.min(mobile.dtau, radial_period - time);
+		simulation.mobile_new_position(mobile, step, reference_frame);
+		time += step;
+		steps++;
+		r_min = Math.min(r_min, mobile.r);
+	}
+
+	check_close(mobile.r, r_a, 1e-9, reference_frame + " r after one radial period");
+	check_close(r_min, r_p, 1e-5, reference_frame + " periapsis");
+	check_close(mobile.phi, phi_advance, 1e-5, reference_frame + " phi after one radial period");
+	check(steps < 5000, reference_frame + " " + steps + " output steps for one radial period");
+}
+
+
+test("RK45 follows an eccentric Schwarzschild orbit for one radial period", () =>
+{
+	check_eccentric_orbit("A");
+	check_eccentric_orbit("DO");
+});
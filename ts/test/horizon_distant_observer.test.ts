@@ -0,0 +1,60 @@
+import { test, check } from "./check.js";
+import { Schwarzschild } from "../class/simulation/schwarzschild.js";
+import { Kerr } from "../class/simulation/kerr.js";
+import { Simulation_trajectory, Trajectory_event } from "../class/simulation/simulation_trajectory.js";
+import { Trajectory_scenario } from "../class/simulation/trajectory_scenario.js";
+import { Mobile } from "../class/simulation/simulation objects/mobile.js";
+
+
+/**
+ * Radial fall from 10 R_s for a distant observer: the mobile never goes below
+ * R_hp, whatever the step, and the only event is the horizon at an infinite clock_do.
+ */
+function check_fall(simulation: Simulation_trajectory, step: number): void
+{
+	let mobile = new Mobile("fall", false, 10 * simulation.central_body.R_s, 0, 0, 0);
+	let events: Trajectory_event[] = [];
+	let r_min = mobile.r;
+
+	simulation.add_mobile(mobile);
+	simulation.mobile_initialization("DO");
+
+	for (let i = 0; i < 1e6 && !mobile.stopped; i++)
+	{
+		events.push(...simulation.mobile_step(mobile, step, "DO"));
+		r_min = Math.min(r_min, mobile.r);
+	}
+
+	check(mobile.stopped, "the mobile is stopped at the horizon");
+	check(r_min >= simulation.central_body.R_hp, "r = " + r_min + " below R_hp = " + simulation.central_body.R_hp);
+	check(events.length === 1 && events[0].type === "horizon", "events " + events.map(event => event.type));
+	check(events[0].clock_do === Infinity && mobile.clock_do === Infinity, "finite clock_do at the horizon");
+}
+
+
+test("Schwarzschild DO fall stops outside the horizon", () =>
+{
+	check_fall(new Schwarzschild("schwarzschild", false, 2e31, 0, 0), 1e-6);
+	check_fall(new Schwarzschild("schwarzschild", false, 2e31, 0, 0), 1e-7);
+});
+
+
+test("Kerr DO fall stops outside the horizon", () =>
+{
+	check_fall(new Kerr("kerr", false, 2e31, 0, 0.5 * 2e31 * 2.99792458e8 * 14850), 1e-6);
+});
+
+
+test("Trajectory_scenario DO mobile has no singularity event", () =>
+{
+	let simulation = new Schwarzschild("schwarzschild", false, 2e31, 0, 0);
+	let scenario = new Trajectory_scenario(simulation);
+	let mobile = new Mobile("fall_DO", false, 10 * simulation.central_body.R_s, 0, 0, 0);
+
+	scenario.add_mobile(mobile, "DO", 1e-6);
+	let timeline = scenario.run(2e-2, 1e-3);
+	let types = simulation.events.map(event => event.type);
+
+	check(types.length === 1 && types[0] === "horizon", "events " + types);
+	check(Math.min(...timeline.mobiles.get("fall_DO").r) >= simulation.central_body.R_hp, "r below R_hp");
+});
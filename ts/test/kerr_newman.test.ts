@@ -0,0 +1,89 @@
+import { test, check_close } from "./check.js";
+import { Kerr } from "../class/simulation/kerr.js";
+import { Kerr_Newman } from "../class/simulation/kerr_newman.js";
+import { Reissner_Nordstrom } from "../class/simulation/reissner_nordstrom.js";
+import { Schwarzschild } from "../class/simulation/schwarzschild.js";
+import { Simulation_trajectory } from "../class/simulation/simulation_trajectory.js";
+import { Mobile } from "../class/simulation/simulation objects/mobile.js";
+import { c, G, epsilon_0 } from "../constants.js";
+
+
+let mass = 2e31;
+// a = 0.5 M
+let angular_m = 0.5 * mass * c * 14850;
+// R_Q = 0.3 R_s, R_Q² = G Q² / (4 pi epsilon_0 c⁴)
+let charge = 0.3 * 2 * G * mass * Math.sqrt(4 * Math.PI * epsilon_0 / G);
+
+
+/**
+ * Compares the horizons of both central bodies, then the integration constants
+ * and the positions along a bound orbit of a massive particle and the path
+ * of a photon, both integrated with the same steps.
+ */
+function check_reduction(simulation: Simulation_trajectory, reference: Simulation_trajectory, name: string): void
+{
+	let R_s = reference.central_body.R_s;
+
+	check_close(simulation.central_body.R_hp, reference.central_body.R_hp, 1e-12, name + " R_hp");
+	if (reference.central_body.R_hm > 0)
+	{
+		check_close(simulation.central_body.R_hm, reference.central_body.R_hm, 1e-12, name + " R_hm");
+	}
+
+	for (let is_photon of [false, true])
+	{
+		let v_r = is_photon ? c : 0.35 * c;
+		let mobile = new Mobile("mobile", is_photon, 12 * R_s, 0, v_r, 80);
+		let reference_mobile = new Mobile("mobile", is_photon, 12 * R_s, 0, v_r, 80);
+		let label = name + (is_photon ? " photon" : " particle");
+
+		simulation.add_mobile(mobile);
+		reference.add_mobile(reference_mobile);
+		simulation.mobile_initialization("A");
+		reference.mobile_initialization("A");
+
+		check_close(mobile.E, reference_mobile.E, 1e-12, label + " E");
+		check_close(mobile.L, reference_mobile.L, 1e-12, label + " L");
+
+		for (let i = 0; i < 2000; i++)
+		{
+			reference.mobile_dtau("A");
+			let step = reference_mobile.dtau;
+			simulation.mobile_new_position(mobile, step, "A");
+			reference.mobile_new_position(reference_mobile, step, "A");
+		}
+
+		check_close(mobile.r, reference_mobile.r, 1e-9, label + " r");
+		check_close(mobile.phi, reference_mobile.phi, 1e-9, label + " phi");
+	}
+}
+
+
+test("Kerr_Newman without charge is the Kerr metric", () =>
+{
+	check_reduction(
+		new Kerr_Newman("kerr_newman", false, mass, 0, angular_m, 0),
+		new Kerr("kerr", false, mass, 0, angular_m),
+		"Q = 0"
+	);
+});
+
+
+test("Kerr_Newman without angular momentum is the Reissner-Nordström metric", () =>
+{
+	check_reduction(
+		new Kerr_Newman("kerr_newman", false, mass, 0, 0, charge),
+		new Reissner_Nordstrom("reissner_nordstrom", false, mass, 0, charge),
+		"a = 0"
+	);
+});
+
+
+test("Kerr_Newman without angular momentum and charge is the Schwarzschild metric", () =>
+{
+	check_reduction(
+		new Kerr_Newman("kerr_newman", false, mass, 0, 0, 0),
+		new Schwarzschild("schwarzschild", false, mass, 0, 0),
+		"a = 0, Q = 0"
+	);
+});
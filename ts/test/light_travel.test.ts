@@ -0,0 +1,25 @@
+import { test, check, check_close } from "./check.js";
+import { Schwarzschild } from "../class/simulation/schwarzschild.js";
+import { AU, c } from "../constants.js";
+
+
+test("light_travel from the Earth to Venus grazing the Sun gives the Shapiro delay", () =>
+{
+	let sun_radius = 6.957e8;
+	let simulation = new Schwarzschild("sun", false, 1.989e30, sun_radius, 0);
+	let R_s = simulation.central_body.R_s;
+
+	// Venus at superior conjunction, the straight line passing just above the surface
+	let r_1 = AU;
+	let r_2 = 1.082e11;
+	let b = 1.01 * sun_radius;
+	let phi_2 = Math.PI - Math.asin(b / r_1) - Math.asin(b / r_2);
+	let d = Math.hypot(r_2 * Math.cos(phi_2) - r_1, r_2 * Math.sin(phi_2));
+	let shapiro = R_s / c * Math.log((r_1 + r_2 + d) / (r_1 + r_2 - d));
+
+	let result = simulation.light_travel(r_1, 0, r_2, phi_2);
+
+	check(result.impact_parameter > sun_radius, "the photon goes through the Sun, b = " + result.impact_parameter);
+	check_close(result.shapiro_delay, shapiro, 1e-3, "shapiro_delay");
+	check_close(result.travel_time - result.flat_time, result.shapiro_delay, 1e-9, "travel_time - flat_time");
+});
@@ -0,0 +1,42 @@
+import { test, check, check_close } from "./check.js";
+import { Schwarzschild } from "../class/simulation/schwarzschild.js";
+import { Trajectory_event } from "../class/simulation/simulation_trajectory.js";
+import { Mobile } from "../class/simulation/simulation objects/mobile.js";
+
+
+/**
+ * Radial fall from 10 R_s on a collidable central body of radius 4 R_s: after
+ * the rebound, the mobile keeps its energy and goes back up to 10 R_s.
+ */
+function check_rebound(reference_frame: "A" | "DO"): void
+{
+	let simulation = new Schwarzschild("schwarzschild", true, 2e31, 0, 0);
+	let R_s = simulation.central_body.R_s;
+	let mobile = new Mobile("rebound", false, 10 * R_s, 0, 0, 0);
+	let events: Trajectory_event[] = [];
+	let r_max = 0;
+
+	simulation.central_body.radius = 4 * R_s;
+	simulation.rebound = true;
+	simulation.conservation_monitor = true;
+	simulation.add_mobile(mobile);
+	simulation.mobile_initialization(reference_frame);
+
+	for (let i = 0; i < 1e6 && (events.length === 0 || mobile.U_r >= 0); i++)
+	{
+		simulation.mobile_dtau(reference_frame);
+		events.push(...simulation.mobile_step(mobile, mobile.dtau, reference_frame));
+		if (events.length > 0) { r_max = Math.max(r_max, mobile.r); }
+	}
+
+	check(events.length === 1 && events[0].type === "rebound", "events " + events.map(event => event.type));
+	check(Math.abs(mobile.normalization_drift) < 1e-9, reference_frame + " drift " + mobile.normalization_drift);
+	check_close(r_max, 10 * R_s, 1e-5, reference_frame + " height after the rebound");
+}
+
+
+test("Rebound keeps the energy of the mobile", () =>
+{
+	check_rebound("A");
+	check_rebound("DO");
+});
@@ -0,0 +1,32 @@
+import { tests } from "./check.js";
+import "./distance_table.test.js";
+import "./dormand_prince.test.js";
+import "./horizon_distant_observer.test.js";
+import "./kerr_newman.test.js";
+import "./light_travel.test.js";
+import "./rebound.test.js";
+import "./tunnel_period.test.js";
+
+
+let failures = 0;
+
+for (let entry of tests)
+{
+	try
+	{
+		entry.run();
+		console.log("ok     " + entry.name);
+	}
+	catch (error)
+	{
+		failures++;
+		console.log("FAILED " + entry.name + "\n       " + (error as Error).message);
+	}
+}
+
+console.log(tests.length - failures + " / " + tests.length + " tests passed");
+
+if (failures > 0)
+{
+	throw new Error(failures + " test(s) failed");
+}
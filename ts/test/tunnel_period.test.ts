@@ -0,0 +1,29 @@
+import { test, check, check_close } from "./check.js";
+import { Schwarzschild } from "../class/simulation/schwarzschild.js";
+
+
+test("tunnel_period of a weak field body is the Newtonian period", () =>
+{
+	// Earth: R / R_s is about 7e8
+	let simulation = new Schwarzschild("earth", false, 5.972e24, 6.371e6, 0);
+
+	for (let r_0 of [6.371e6, 6.371e6 / 2])
+	{
+		let result = simulation.tunnel_period(r_0);
+
+		check(Number.isFinite(result.period_a) && Number.isFinite(result.period_do), "infinite period from r_0 = " + r_0);
+		check_close(result.period_a, result.period_newton, 1e-8, "period_a from r_0 = " + r_0);
+		check_close(result.period_do, result.period_newton, 1e-8, "period_do from r_0 = " + r_0);
+	}
+});
+
+
+test("tunnel_period of a compact body is shorter for the mobile", () =>
+{
+	let simulation = new Schwarzschild("star", false, 1.989e30, 0, 0);
+	simulation.central_body.radius = 3 * simulation.central_body.R_s;
+	let result = simulation.tunnel_period();
+
+	check(result.period_a < result.period_newton && result.period_newton < result.period_do,
+		"periods " + result.period_a + ", " + result.period_newton + ", " + result.period_do);
+});